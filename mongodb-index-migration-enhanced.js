@@ -1,19 +1,19 @@
 // mongodb-index-migration-enhanced.js
-const { MongoClient } = require('mongodb');
+const { BSON, MongoClient } = require('mongodb');
+const JSON5 = require('json5');
+const YAML = require('yaml');
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
 
-// Configuration (will be loaded from config.json)
+// Configuration (will be loaded from config.json or the file given with --config)
 let config = {
-  source: {
-    uri: "mongodb://source-mongodb-uri:27017",
-    dbName: "sourceDB"
-  },
-  target: {
-    uri: "mongodb://target-mongodb-uri:27017",
-    dbName: "targetDB"
-  },
+  // Source and target connections: { uri, dbName }
+  // Strings may reference environment variables as ${VAR_NAME}
+  source: null,
+  target: null,
   // Optional: collections to process (if empty, all collections will be processed)
   collections: [],
   // Custom indexes to create (manually defined)
@@ -31,35 +31,330 @@ let config = {
   ]
 };
 
-// Logger
+// Path of the configuration file in use
+let configPath = path.join(__dirname, 'config.json');
+
+// Send informational log lines to stderr (used while stdout carries json/yaml/diff output)
+let logToStderr = false;
+
+// Name of the collection being processed, set while collections run concurrently
+const logContext = new AsyncLocalStorage();
+
+// Build progress drawn below the log lines on a terminal (see createBuildProgress)
+let progressDisplay = null;
+
+// Logger (lines are prefixed with the collection name under --concurrency)
+// A progress display is cleared before each line and drawn again after it
+const log = (line, write = logToStderr ? console.error : console.log) => {
+  if (progressDisplay) progressDisplay.clear();
+  write(line);
+  if (progressDisplay) progressDisplay.draw();
+};
+const logPrefix = () => (logContext.getStore() ? `[${logContext.getStore()}] ` : '');
 const logger = {
-  info: (message) => console.log(`[INFO] ${message}`),
-  error: (message) => console.error(`[ERROR] ${message}`),
-  success: (message) => console.log(`[SUCCESS] ${message}`),
-  warning: (message) => console.log(`[WARNING] ${message}`)
+  info: (message) => log(`[INFO] ${logPrefix()}${message}`),
+  error: (message) => log(`[ERROR] ${logPrefix()}${message}`, console.error),
+  success: (message) => log(`[SUCCESS] ${logPrefix()}${message}`),
+  warning: (message) => log(`[WARNING] ${logPrefix()}${message}`)
 };
 
-// Load configuration
-const loadConfig = () => {
-  try {
-    const configPath = path.join(__dirname, 'config.json');
-    if (fs.existsSync(configPath)) {
-      const configFile = fs.readFileSync(configPath);
-      config = JSON.parse(configFile);
-      logger.info('Configuration loaded successfully');
+// Hide the password in a connection string before logging it
+const redactUri = (uri) => String(uri).replace(/\/\/([^:/@]+):([^@]*)@/, '//$1:****@');
+
+// Check whether a value is a plain object (not an array)
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Check whether a value is a plain document (not a date, ObjectId or other BSON value)
+const isPlainDocument = (value) => isPlainObject(value) && [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+// Merge a profile over the base configuration (objects are merged, everything else replaced)
+const mergeConfig = (base, override) => {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergeConfig(base[key], value)
+      : value;
+  }
+  return merged;
+};
+
+// Replace ${VAR_NAME} references in all configuration strings with environment variables
+const interpolateEnv = (value, location = 'config') => {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) => {
+      if (process.env[name] === undefined) {
+        throw new Error(`Environment variable ${name} referenced in ${location} is not set`);
+      }
+      return process.env[name];
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, i) => interpolateEnv(item, `${location}[${i}]`));
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+      [key, interpolateEnv(item, `${location}.${key}`)]
+    ));
+  }
+  return value;
+};
+
+// Validate a connection section ({ uri, dbName })
+const validateConnection = (connection, name, errors) => {
+  if (!isPlainObject(connection)) {
+    errors.push(`"${name}" must be an object with "uri" and "dbName"`);
+    return;
+  }
+  if (typeof connection.uri !== 'string' || !/^mongodb(\+srv)?:\/\//.test(connection.uri)) {
+    errors.push(`"${name}.uri" must be a mongodb:// or mongodb+srv:// connection string`);
+  } else if (/<[^>]+>/.test(connection.uri)) {
+    errors.push(`"${name}.uri" still contains a placeholder such as <user> or <password>`);
+  }
+  if (typeof connection.dbName !== 'string' || connection.dbName.trim() === '') {
+    errors.push(`"${name}.dbName" must be a non-empty string`);
+  }
+};
+
+// Validate the loaded configuration for the connections a command needs
+const validateConfig = (cfg, { needsSource = false, needsTarget = false, fanOut = false } = {}) => {
+  const errors = [];
+
+  if (needsSource) validateConnection(cfg.source, 'source', errors);
+
+  const hasTargets = Array.isArray(cfg.targets) && cfg.targets.length > 0;
+  if (needsTarget && fanOut && hasTargets) {
+    cfg.targets.forEach((target, i) => {
+      validateConnection(target, `targets[${i}]`, errors);
+      if (target && target.collections !== undefined && !Array.isArray(target.collections)) {
+        errors.push(`"targets[${i}].collections" must be an array of collection names`);
+      }
+    });
+  } else if (needsTarget) {
+    if (!cfg.target && hasTargets) {
+      errors.push('this command works on one target - choose one of "targets" with --target <name>');
     } else {
-      logger.warning('config.json not found, using default configuration');
-      // Create example config file
-      fs.writeFileSync(
-        configPath,
-        JSON.stringify(config, null, 2),
-        'utf8'
-      );
-      logger.info(`Example config file created at ${configPath}`);
+      validateConnection(cfg.target, 'target', errors);
     }
-  } catch (error) {
-    logger.error(`Failed to load configuration: ${error.message}`);
   }
+
+  if (cfg.collections !== undefined &&
+      (!Array.isArray(cfg.collections) || cfg.collections.some(name => typeof name !== 'string'))) {
+    errors.push('"collections" must be an array of collection names');
+  }
+
+  for (const key of FILTER_KEYS) {
+    if (cfg[key] === undefined) continue;
+    if (!Array.isArray(cfg[key]) || cfg[key].some(pattern => typeof pattern !== 'string')) {
+      errors.push(`"${key}" must be an array of names, globs or /regex/ patterns`);
+      continue;
+    }
+    cfg[key].forEach(pattern => {
+      try {
+        compilePattern(pattern);
+      } catch (error) {
+        errors.push(`"${key}" has an invalid pattern ${pattern}: ${error.message}`);
+      }
+    });
+  }
+
+  if (cfg.mapping !== undefined) {
+    if (!isPlainObject(cfg.mapping)) {
+      errors.push('"mapping" must be an object with "collections", "fields" and/or "indexName"');
+    } else {
+      const { collections = {}, fields = {}, indexName } = cfg.mapping;
+      if (!isPlainObject(collections) || Object.values(collections).some(name => typeof name !== 'string')) {
+        errors.push('"mapping.collections" must map source collection names or /regex/ patterns to target names');
+      } else {
+        Object.keys(collections).filter(pattern => pattern.startsWith('/')).forEach(pattern => {
+          try {
+            compilePattern(pattern);
+          } catch (error) {
+            errors.push(`"mapping.collections" has an invalid pattern ${pattern}: ${error.message}`);
+          }
+        });
+      }
+      const isFieldMap = (value) => isPlainObject(value) && Object.values(value).every(to => typeof to === 'string');
+      if (!isPlainObject(fields) || Object.values(fields).some(to => typeof to !== 'string' && !isFieldMap(to))) {
+        errors.push('"mapping.fields" must map field paths to new paths, or collection names to such maps');
+      }
+      if (indexName !== undefined && (typeof indexName !== 'string' || indexName.trim() === '')) {
+        errors.push('"mapping.indexName" must be a non-empty template such as "{collection}_{fields}"');
+      }
+    }
+  }
+
+  if (cfg.sharding !== undefined) {
+    if (!isPlainObject(cfg.sharding)) {
+      errors.push('"sharding" must be an object');
+    } else if (cfg.sharding.incompatibleUniqueIndexes !== undefined &&
+        !['block', 'warn'].includes(cfg.sharding.incompatibleUniqueIndexes)) {
+      errors.push('"sharding.incompatibleUniqueIndexes" must be "block" or "warn"');
+    }
+  }
+
+  if (cfg.schema !== undefined && typeof cfg.schema !== 'string' &&
+      (!Array.isArray(cfg.schema) || cfg.schema.some(file => typeof file !== 'string'))) {
+    errors.push('"schema" must be an index schema file path or a list of file paths');
+  }
+
+  if (cfg.retry !== undefined) {
+    if (!isPlainObject(cfg.retry)) {
+      errors.push('"retry" must be an object');
+    } else if (cfg.retry.maxAttempts !== undefined &&
+        (!Number.isInteger(cfg.retry.maxAttempts) || cfg.retry.maxAttempts < 1)) {
+      errors.push('"retry.maxAttempts" must be a positive integer');
+    }
+  }
+
+  if (cfg.protectedIndexes !== undefined &&
+      (!Array.isArray(cfg.protectedIndexes) || cfg.protectedIndexes.some(name => typeof name !== 'string'))) {
+    errors.push('"protectedIndexes" must be an array of index names');
+  }
+
+  if (cfg.customIndexes !== undefined) {
+    if (!Array.isArray(cfg.customIndexes)) {
+      errors.push('"customIndexes" must be an array');
+    } else {
+      cfg.customIndexes.forEach((customIndex, i) => {
+        if (!isPlainObject(customIndex) || typeof customIndex.collectionName !== 'string') {
+          errors.push(`"customIndexes[${i}].collectionName" must be a string`);
+        } else if (!isPlainObject(customIndex.index) || !isPlainObject(customIndex.index.key) ||
+            Object.keys(customIndex.index.key).length === 0) {
+          errors.push(`"customIndexes[${i}].index.key" must be a non-empty object`);
+        }
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration (${configPath}):\n  - ${errors.join('\n  - ')}`);
+  }
+};
+
+// Load configuration, apply the selected profile, environment variables and CLI overrides
+const loadConfig = (options = {}) => {
+  configPath = options.config ? path.resolve(options.config) : path.join(__dirname, 'config.json');
+
+  let fileConfig = {};
+  if (fs.existsSync(configPath)) {
+    fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    logger.info(`Configuration loaded from ${configPath}`);
+  } else if (options.config) {
+    throw new Error(`Configuration file ${configPath} not found`);
+  } else {
+    logger.warning(`${configPath} not found - copy config.example.json to config.json or pass --config <path>`);
+  }
+
+  const { profiles = {}, ...baseConfig } = fileConfig;
+  let loaded = mergeConfig(config, baseConfig);
+
+  const profileName = options.profile || process.env.MONGO_INDEX_PROFILE;
+  if (profileName) {
+    if (!isPlainObject(profiles[profileName])) {
+      const available = Object.keys(profiles);
+      throw new Error(`Profile "${profileName}" not found in ${configPath}` +
+        (available.length > 0 ? ` (available: ${available.join(', ')})` : ''));
+    }
+    loaded = mergeConfig(loaded, profiles[profileName]);
+    logger.info(`Using profile ${profileName}`);
+  }
+
+  loaded = interpolateEnv(loaded);
+
+  // Command line overrides take precedence over the file
+  const overrides = {
+    'source-uri': ['source', 'uri'],
+    'source-db': ['source', 'dbName'],
+    'target-uri': ['target', 'uri'],
+    'target-db': ['target', 'dbName']
+  };
+  for (const [option, [section, key]] of Object.entries(overrides)) {
+    if (options[option] !== undefined) {
+      loaded[section] = { ...loaded[section], [key]: options[option] };
+    }
+  }
+  if (options['max-attempts'] !== undefined) {
+    const maxAttempts = Number(options['max-attempts']);
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+      throw new Error(`Invalid --max-attempts "${options['max-attempts']}" (expected a positive number)`);
+    }
+    loaded.retry = { ...(loaded.retry || {}), maxAttempts };
+  }
+  if (options.collections !== undefined) {
+    loaded.collections = String(options.collections).split(',').map(name => name.trim()).filter(Boolean);
+  }
+  // --include-collections, --exclude-collections, --include-indexes, --exclude-indexes
+  for (const key of FILTER_KEYS) {
+    const option = key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+    if (options[option] !== undefined) {
+      loaded[key] = String(options[option]).split(',').map(pattern => pattern.trim()).filter(Boolean);
+    }
+  }
+
+  // An explicit target on the command line replaces the "targets" list
+  if (options['target-uri'] !== undefined || options['target-db'] !== undefined) {
+    delete loaded.targets;
+  }
+
+  if (Array.isArray(loaded.targets) && loaded.targets.length > 0) {
+    loaded.targets = loaded.targets.map((target, i) => ({
+      ...target,
+      name: target.name || target.dbName || `target-${i + 1}`
+    }));
+
+    // --target <name> picks one entry; a single entry doubles as "target"
+    if (options.target !== undefined) {
+      const selected = loaded.targets.find(target => target.name === options.target);
+      if (!selected) {
+        throw new Error(`Target "${options.target}" not found (available: ${loaded.targets.map(target => target.name).join(', ')})`);
+      }
+      loaded.targets = [selected];
+    }
+    if (loaded.targets.length === 1 || options.target !== undefined) {
+      loaded.target = loaded.targets[0];
+    }
+  }
+
+  config = loaded;
+  return config;
+};
+
+// Save one top-level setting back to the configuration file, leaving the rest of the file untouched
+// (profiles, ${VAR} references and command line overrides are not written)
+const saveConfigValue = (key, value) => {
+  const fileConfig = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+  fileConfig[key] = value;
+  fs.writeFileSync(configPath, JSON.stringify(fileConfig, null, 2), 'utf8');
+};
+
+// Custom index entries added from the index schema files ("schema"), which are not saved back
+const schemaIndexEntries = new WeakSet();
+
+// Save the customIndexes list back to the configuration file
+const saveCustomIndexes = () => saveConfigValue('customIndexes',
+  (config.customIndexes || []).filter(customIndex => !schemaIndexEntries.has(customIndex)));
+
+// Targets to run fan-out commands against ("targets" array, or the single "target")
+const getTargets = () => {
+  if (Array.isArray(config.targets) && config.targets.length > 0) return config.targets;
+  return [{ name: config.target.dbName, ...config.target }];
+};
+
+// Collections to process for a target (its own filter, else the global "collections")
+const getTargetCollections = (target) => {
+  if (target && Array.isArray(target.collections) && target.collections.length > 0) {
+    return target.collections;
+  }
+  return config.collections;
+};
+
+// Custom indexes that apply to a target's collection filter
+const getTargetCustomIndexes = (target) => {
+  const customIndexes = config.customIndexes || [];
+  if (!target || !Array.isArray(target.collections) || target.collections.length === 0) {
+    return customIndexes;
+  }
+  return customIndexes.filter(({ collectionName }) => target.collections.includes(collectionName));
 };
 
 // Connect to MongoDB
@@ -67,23 +362,376 @@ const connectToMongo = async (uri) => {
   try {
     const client = new MongoClient(uri);
     await client.connect();
-    logger.info(`Connected to MongoDB at ${uri}`);
+    logger.info(`Connected to MongoDB at ${redactUri(uri)}`);
     return client;
   } catch (error) {
-    logger.error(`Failed to connect to MongoDB at ${uri}: ${error.message}`);
+    logger.error(`Failed to connect to MongoDB at ${redactUri(uri)}: ${error.message}`);
+    error.connectionFailed = true;
     throw error;
   }
 };
 
+// Wait for the given number of milliseconds
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Default retry settings for transient errors (config "retry")
+const DEFAULT_RETRY = {
+  maxAttempts: 5,
+  initialDelayMs: 1000,
+  maxDelayMs: 30000
+};
+
+// Server error codes that are worth retrying: network, failover and interrupted operations
+const TRANSIENT_ERROR_CODES = new Set([
+  6, // HostUnreachable
+  7, // HostNotFound
+  89, // NetworkTimeout
+  91, // ShutdownInProgress
+  189, // PrimarySteppedDown
+  262, // ExceededTimeLimit
+  9001, // SocketException
+  10107, // NotWritablePrimary
+  11600, // InterruptedAtShutdown
+  11601, // Interrupted
+  11602, // InterruptedDueToReplStateChange
+  13435, // NotPrimaryNoSecondaryOk
+  13436 // NotPrimaryOrSecondary
+]);
+
+// Classify a driver error as 'transient' (retry) or 'permanent' (invalid spec, duplicate key, ...)
+const classifyError = (error) => {
+  const networkErrors = ['MongoNetworkError', 'MongoNetworkTimeoutError', 'MongoServerSelectionError', 'MongoTopologyClosedError'];
+  if (networkErrors.includes(error.name)) return 'transient';
+  if (typeof error.hasErrorLabel === 'function' &&
+      (error.hasErrorLabel('RetryableWriteError') || error.hasErrorLabel('TransientTransactionError'))) {
+    return 'transient';
+  }
+  return TRANSIENT_ERROR_CODES.has(error.code) ? 'transient' : 'permanent';
+};
+
+// Run an operation, retrying transient errors with exponential backoff
+const withRetry = async (operation, description) => {
+  const settings = { ...DEFAULT_RETRY, ...(config.retry || {}) };
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      error.errorClass = classifyError(error);
+      if (error.errorClass === 'permanent' || attempt >= settings.maxAttempts) throw error;
+
+      const delay = Math.min(settings.maxDelayMs, settings.initialDelayMs * 2 ** (attempt - 1));
+      logger.warning(`${description} failed with a transient error (${error.message}) - retrying in ${delay}ms (attempt ${attempt + 1}/${settings.maxAttempts})`);
+      await sleep(delay);
+    }
+  }
+};
+
+// Default checkpoint file used by migrate and create (next to the configuration file)
+const getCheckpointPath = (options = {}) => {
+  if (options.checkpoint) return path.resolve(options.checkpoint);
+  return path.resolve(path.dirname(configPath), config.checkpointFile || '.index-migration-checkpoint.json');
+};
+
+// Open the checkpoint of a migrate or create run
+// Without resume a fresh checkpoint is started; with resume the previous one must exist for the same command
+const openCheckpoint = (filePath, command, resume) => {
+  let state = { command, updatedAt: null, lastCompleted: null, targets: {} };
+
+  if (resume) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`No checkpoint to resume from (${filePath})`);
+    }
+    state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (state.command !== command) {
+      throw new Error(`Checkpoint ${filePath} belongs to "${state.command}", not "${command}"`);
+    }
+    logger.info(`Resuming from checkpoint ${filePath} (last completed: ${state.lastCompleted
+      ? `${state.lastCompleted.target} ${state.lastCompleted.collectionName}.${state.lastCompleted.indexName}`
+      : 'nothing'})`);
+  }
+
+  const save = () => {
+    state.updatedAt = new Date().toISOString();
+    fs.writeFileSync(filePath, JSON.stringify(state, null, 2), 'utf8');
+  };
+
+  // Progress of one target: completed collections and completed index names per collection
+  const forTarget = (targetName) => {
+    if (!state.targets[targetName]) {
+      state.targets[targetName] = { completedCollections: [], completedIndexes: {} };
+    }
+    const progress = state.targets[targetName];
+
+    return {
+      isCollectionDone: (collectionName) => progress.completedCollections.includes(collectionName),
+      isIndexDone: (collectionName, indexName) =>
+        (progress.completedIndexes[collectionName] || []).includes(indexName),
+      markIndex: (collectionName, indexName) => {
+        progress.completedIndexes[collectionName] = [...(progress.completedIndexes[collectionName] || []), indexName];
+        state.lastCompleted = { target: targetName, collectionName, indexName };
+        save();
+      },
+      markCollection: (collectionName) => {
+        progress.completedCollections.push(collectionName);
+        delete progress.completedIndexes[collectionName];
+        save();
+      }
+    };
+  };
+
+  const clear = () => {
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  };
+
+  return { filePath, forTarget, save, clear };
+};
+
+// Collection and index filters ("includeCollections", "excludeCollections", "includeIndexes", "excludeIndexes")
+const FILTER_KEYS = ['includeCollections', 'excludeCollections', 'includeIndexes', 'excludeIndexes'];
+
+// Turn a filter pattern into a RegExp: "/regex/flags" as written, anything else as a glob
+// where * matches any characters and ? a single character
+const compilePattern = (pattern) => {
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (regex) return new RegExp(regex[1], regex[2]);
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+};
+
+// Check whether a collection name passes includeCollections / excludeCollections
+const isCollectionSelected = (collectionName) => {
+  const { includeCollections = [], excludeCollections = [] } = config;
+  const matches = (pattern) => compilePattern(pattern).test(collectionName);
+  return (includeCollections.length === 0 || includeCollections.some(matches)) && !excludeCollections.some(matches);
+};
+
+// Check whether an index passes includeIndexes / excludeIndexes
+// Globs without a dot match the index name; globs with a dot and regexes match it or "collection.index"
+const isIndexSelected = (collectionName, indexName) => {
+  const { includeIndexes = [], excludeIndexes = [] } = config;
+  const qualifiedName = `${collectionName}.${indexName}`;
+  const matches = (pattern) => {
+    const regex = compilePattern(pattern);
+    // A dot separates collection and index ("tt_*.tmp_*") or is part of the name ("address.city_1")
+    if (pattern.startsWith('/') || pattern.includes('.')) return regex.test(indexName) || regex.test(qualifiedName);
+    return regex.test(indexName);
+  };
+  return (includeIndexes.length === 0 || includeIndexes.some(matches)) && !excludeIndexes.some(matches);
+};
+
+// Keep the indexes of a collection that pass the index filters
+const selectIndexes = (collectionName, indexes) =>
+  indexes.filter(index => isIndexSelected(collectionName, index.name));
+
+// Name the server gives an index by default (field_direction pairs joined with "_")
+const getDefaultIndexName = (key) =>
+  Object.entries(key).map(([field, direction]) => `${field}_${direction}`).join('_');
+
+// Target name of a source collection ("mapping.collections": exact names, or /regex/ keys whose
+// replacement may use $1, $2, ...); unmapped collections keep their name
+const mapCollectionName = (collectionName) => {
+  const collections = (config.mapping && config.mapping.collections) || {};
+  if (typeof collections[collectionName] === 'string') return collections[collectionName];
+
+  for (const [pattern, replacement] of Object.entries(collections)) {
+    if (!pattern.startsWith('/')) continue;
+    const regex = compilePattern(pattern);
+    if (regex.test(collectionName)) return collectionName.replace(regex, replacement);
+  }
+  return collectionName;
+};
+
+// Field renames for a source collection: string entries of "mapping.fields" apply to every
+// collection, object entries ({ "<collection>": { from: to } }) only to that collection
+const getFieldMapping = (collectionName) => {
+  const fields = (config.mapping && config.mapping.fields) || {};
+  const mapping = {};
+  for (const [from, to] of Object.entries(fields)) {
+    if (typeof to === 'string') mapping[from] = to;
+  }
+  return isPlainObject(fields[collectionName]) ? { ...mapping, ...fields[collectionName] } : mapping;
+};
+
+// Rename a field path; a renamed field also renames its sub-paths (address -> addr turns address.city into addr.city)
+const mapFieldPath = (fieldPath, fieldMapping) => {
+  if (fieldMapping[fieldPath] !== undefined) return fieldMapping[fieldPath];
+  const parent = Object.keys(fieldMapping)
+    .filter(from => fieldPath.startsWith(`${from}.`))
+    .sort((a, b) => b.length - a.length)[0];
+  return parent ? `${fieldMapping[parent]}${fieldPath.slice(parent.length)}` : fieldPath;
+};
+
+// Rename the field paths used as keys of a document (index key, weights) or inside a query
+// (partial filter): $operators are kept and their values mapped recursively; dates, ObjectIds
+// and other BSON values are left as they are
+const mapFieldKeys = (value, fieldMapping) => {
+  if (Array.isArray(value)) return value.map(item => mapFieldKeys(item, fieldMapping));
+  if (!isPlainDocument(value)) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key.startsWith('$') ? key : mapFieldPath(key, fieldMapping),
+    key.startsWith('$') ? mapFieldKeys(item, fieldMapping) : item
+  ]));
+};
+
+// Index specification as it should exist on the target: field renames applied to the key,
+// partial filter, text weights and wildcard projection, and the name from "mapping.indexName"
+// Template placeholders: {collection} (target), {sourceCollection}, {name} (source name), {fields}
+const mapIndexSpec = (collectionName, indexSpec) => {
+  if (indexSpec.name === '_id_') return indexSpec;
+
+  const fieldMapping = getFieldMapping(collectionName);
+  const mapped = { ...indexSpec, key: mapFieldKeys(indexSpec.key, fieldMapping) };
+  if (indexSpec.partialFilterExpression) {
+    mapped.partialFilterExpression = mapFieldKeys(indexSpec.partialFilterExpression, fieldMapping);
+  }
+  if (indexSpec.weights) mapped.weights = mapFieldKeys(indexSpec.weights, fieldMapping);
+  if (indexSpec.wildcardProjection) {
+    mapped.wildcardProjection = mapFieldKeys(indexSpec.wildcardProjection, fieldMapping);
+  }
+
+  const template = config.mapping && config.mapping.indexName;
+  if (template) {
+    mapped.name = template
+      .replace(/\{collection\}/g, mapCollectionName(collectionName))
+      .replace(/\{sourceCollection\}/g, collectionName)
+      .replace(/\{name\}/g, indexSpec.name)
+      .replace(/\{fields\}/g, getDefaultIndexName(mapped.key));
+  } else if (indexSpec.name === getDefaultIndexName(indexSpec.key)) {
+    // A server-generated name follows the renamed fields
+    mapped.name = getDefaultIndexName(mapped.key);
+  }
+  return mapped;
+};
+
+// listCollections entry of a source collection with a view's viewOn renamed like its collection
+const mapCollectionInfo = (info) => {
+  if (!info || !info.options || !info.options.viewOn) return info;
+  return { ...info, options: { ...info.options, viewOn: mapCollectionName(info.options.viewOn) } };
+};
+
+// Collection name for log lines: "source" or "source -> target" when it is renamed
+const describeMapping = (collectionName) => {
+  const targetName = mapCollectionName(collectionName);
+  return targetName === collectionName ? collectionName : `${collectionName} -> ${targetName}`;
+};
+
+// Collection options that can be passed to createCollection, as reported by listCollections
+const COLLECTION_OPTION_FIELDS = [
+  'capped', 'size', 'max',
+  'validator', 'validationLevel', 'validationAction',
+  'collation', 'timeseries', 'expireAfterSeconds', 'clusteredIndex',
+  'viewOn', 'pipeline',
+  'changeStreamPreAndPostImages', 'indexOptionDefaults'
+];
+
+// Get the listCollections entry ({ name, type, options }) of one collection
+// A collection that doesn't exist is returned as a plain collection without options
+const getCollectionInfo = async (db, collectionName) => {
+  const [info] = await withRetry(
+    () => db.listCollections({ name: collectionName }).toArray(),
+    `Reading options of collection ${collectionName}`
+  );
+  return info
+    ? { name: info.name, type: info.type || 'collection', options: info.options || {} }
+    : { name: collectionName, type: 'collection', options: {} };
+};
+
+// Get listCollections entries ({ name, type, options }) for the collections to process
+// System collections (system.views, system.buckets.*, ...) and collections rejected by the
+// collection filters are left out; named collections that don't exist are returned as plain collections
+const getCollectionInfos = async (db, specifiedCollections) => {
+  const infos = (await withRetry(() => db.listCollections().toArray(), 'Listing collections'))
+    .filter(info => !info.name.startsWith('system.'))
+    .map(({ name, type, options }) => ({ name, type: type || 'collection', options: options || {} }));
+
+  const selected = !specifiedCollections || specifiedCollections.length === 0
+    ? infos
+    : specifiedCollections.map(name =>
+      infos.find(info => info.name === name) || { name, type: 'collection', options: {} }
+    );
+  return selected.filter(info => isCollectionSelected(info.name));
+};
+
+// Options to recreate a collection, view or time-series collection with createCollection
+const getCollectionCreateOptions = (info) => {
+  const options = {};
+  for (const field of COLLECTION_OPTION_FIELDS) {
+    if (info.options && info.options[field] !== undefined) options[field] = info.options[field];
+  }
+
+  // Server-reported details that createCollection doesn't accept back
+  if (options.collation) {
+    const { version, ...collation } = options.collation;
+    options.collation = collation;
+  }
+  if (options.clusteredIndex) {
+    const { v, ...clusteredIndex } = options.clusteredIndex;
+    options.clusteredIndex = clusteredIndex;
+  }
+  if (options.timeseries && options.timeseries.granularity) {
+    // Bucket sizes are derived from the granularity and can't be given together with it
+    const { bucketMaxSpanSeconds, bucketRoundingSeconds, ...timeseries } = options.timeseries;
+    options.timeseries = timeseries;
+  }
+  return options;
+};
+
+// Short description of a collection's type and options for log lines and plans
+const describeCollection = (info) => {
+  if (info.type === 'view') return `view on ${info.options.viewOn}`;
+  const options = Object.keys(getCollectionCreateOptions(info));
+  const kind = info.type === 'timeseries' ? 'time-series collection' : 'collection';
+  return options.length > 0 ? `${kind} (${options.join(', ')})` : kind;
+};
+
+// JSON with object keys sorted, so documents that only differ in key order compare equal
+// (dates, ObjectIds and other BSON values keep their own JSON form)
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (isPlainDocument(value)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// List the collection options that differ between a source and a target collection
+// Returns [{ option, source, target }]; a different type (collection, view, timeseries) is reported as "type"
+const diffCollectionOptions = (sourceInfo, targetInfo) => {
+  const drift = [];
+  if (sourceInfo.type !== targetInfo.type) {
+    drift.push({ option: 'type', source: sourceInfo.type, target: targetInfo.type });
+  }
+  // Index schema files declare no collection options (see createSchemaSnapshot)
+  if (!sourceInfo.options) return drift;
+
+  const sourceOptions = getCollectionCreateOptions(sourceInfo);
+  const targetOptions = getCollectionCreateOptions(targetInfo);
+  for (const option of COLLECTION_OPTION_FIELDS) {
+    // Pipeline stages and key order inside them matter; other documents are compared order-insensitively
+    const serialize = option === 'pipeline' ? JSON.stringify : stableStringify;
+    if (serialize(sourceOptions[option]) !== serialize(targetOptions[option])) {
+      drift.push({ option, source: sourceOptions[option], target: targetOptions[option] });
+    }
+  }
+  return drift;
+};
+
 // Get collections to process
-const getCollections = async (db, specifiedCollections) => {
+// Views have no indexes of their own and are only included with includeViews
+const getCollections = async (db, specifiedCollections, { includeViews = false } = {}) => {
   try {
     if (specifiedCollections && specifiedCollections.length > 0) {
-      return specifiedCollections;
+      return specifiedCollections.filter(isCollectionSelected);
     }
     
-    const collections = await db.listCollections().toArray();
-    return collections.map(collection => collection.name);
+    const collections = await getCollectionInfos(db, []);
+    return collections
+      .filter(collection => includeViews || collection.type !== 'view')
+      .map(collection => collection.name);
   } catch (error) {
     logger.error(`Failed to get collections: ${error.message}`);
     throw error;
@@ -91,492 +739,4478 @@ const getCollections = async (db, specifiedCollections) => {
 };
 
 // Get indexes from a collection
-const getIndexes = async (db, collectionName) => {
+// Errors are logged and give an empty list, unless strict is set
+const getIndexes = async (db, collectionName, strict = false) => {
   try {
     const collection = db.collection(collectionName);
-    const indexes = await collection.indexes();
+    const indexes = await withRetry(() => collection.indexes(), `Reading indexes of ${collectionName}`);
     logger.info(`Retrieved ${indexes.length} indexes from collection ${collectionName}`);
     return indexes;
   } catch (error) {
     logger.error(`Failed to get indexes from collection ${collectionName}: ${error.message}`);
+    if (strict) throw error;
     return [];
   }
 };
 
+// Create a collection on the target if it doesn't exist yet, returning true when it was created
+// With the source's listCollections entry, the collection (or view) is created with the same options;
+// option drift on an existing collection is only reported (see compare)
+const ensureCollection = async (db, collectionName, sourceInfo = null) => {
+  const [existing] = await withRetry(
+    () => db.listCollections({ name: collectionName }).toArray(),
+    `Checking collection ${collectionName}`
+  );
+  if (!existing) {
+    const options = sourceInfo ? getCollectionCreateOptions(sourceInfo) : {};
+    await withRetry(() => db.createCollection(collectionName, options), `Creating collection ${collectionName}`);
+    const description = sourceInfo ? describeCollection(sourceInfo) : 'collection';
+    logger.info(`Created collection ${collectionName} in target database${description !== 'collection' ? ` as ${description}` : ''}`);
+    return true;
+  }
+
+  if (sourceInfo) {
+    const drift = diffCollectionOptions(sourceInfo, { type: existing.type || 'collection', options: existing.options || {} });
+    if (drift.length > 0) {
+      logger.warning(`Collection ${collectionName} exists in target database with different options (${drift.map(({ option }) => option).join(', ')}) - left unchanged`);
+    }
+  }
+  return false;
+};
+
+// Server version of a database's deployment as [major, minor], cached per database (null if unknown)
+const serverVersions = new WeakMap();
+const getServerVersion = (db) => {
+  if (!serverVersions.has(db)) {
+    serverVersions.set(db, Promise.resolve()
+      .then(() => db.command({ buildInfo: 1 }))
+      .then(info => (info && Array.isArray(info.versionArray) ? info.versionArray.slice(0, 2) : null))
+      .catch(() => null));
+  }
+  return serverVersions.get(db);
+};
+
+// Whether a database is reached through mongos (a sharded cluster), cached per database
+const shardedDeployments = new WeakMap();
+const isShardedCluster = (db) => {
+  if (!shardedDeployments.has(db)) {
+    shardedDeployments.set(db, Promise.resolve()
+      .then(() => db.command({ hello: 1 }))
+      .then(hello => Boolean(hello) && hello.msg === 'isdbgrid')
+      .catch(() => false));
+  }
+  return shardedDeployments.get(db);
+};
+
+// Shard key ({ key, unique }) of a collection from the cluster's config.collections, or null when
+// the deployment isn't sharded or the collection isn't sharded
+const getShardKey = async (db, collectionName) => {
+  if (!(await isShardedCluster(db))) return null;
+  const entry = await withRetry(
+    () => db.client.db('config').collection('collections').findOne({ _id: `${db.databaseName}.${collectionName}` }),
+    `Reading shard key of ${collectionName}`
+  );
+  return entry && !entry.dropped ? { key: entry.key, unique: Boolean(entry.unique) } : null;
+};
+
+// Whether an index key starts with all shard key fields (in order, whatever their direction or type),
+// which a unique index on a sharded collection needs
+const startsWithShardKey = (indexKey, shardKey) => {
+  const fields = Object.keys(indexKey);
+  return Object.keys(shardKey).every((field, i) => fields[i] === field);
+};
+
+// What to do with unique indexes that don't start with the shard key (config "sharding.incompatibleUniqueIndexes"):
+// "block" (default) reports them as failed, "warn" skips them with a warning
+const getIncompatibleUniqueMode = () =>
+  (config.sharding && config.sharding.incompatibleUniqueIndexes) || 'block';
+
+// Shard a new target collection on the source collection's shard key (field renames applied)
+// Returns the target shard key, or null when the source collection isn't sharded or the target isn't a cluster
+const shardLikeSource = async (sourceDb, targetDb, collectionName, targetName) => {
+  const sourceShardKey = await getShardKey(sourceDb, collectionName);
+  if (!sourceShardKey) return null;
+  if (!(await isShardedCluster(targetDb))) {
+    logger.warning(`Collection ${collectionName} is sharded on the source but the target is not a sharded cluster - not sharding ${targetName}`);
+    return null;
+  }
+
+  const shardKey = { ...sourceShardKey, key: mapFieldKeys(sourceShardKey.key, getFieldMapping(collectionName)) };
+  const admin = targetDb.client.db('admin');
+  const [major] = (await getServerVersion(targetDb)) || [];
+  if (major !== undefined && major < 6) {
+    // Before MongoDB 6.0 sharding has to be enabled for the database first
+    await withRetry(() => admin.command({ enableSharding: targetDb.databaseName }), `Enabling sharding for ${targetDb.databaseName}`);
+  }
+  await withRetry(
+    () => admin.command({ shardCollection: `${targetDb.databaseName}.${targetName}`, key: shardKey.key, unique: shardKey.unique }),
+    `Sharding collection ${targetName}`
+  );
+  logger.info(`Sharded collection ${targetName} on ${JSON.stringify(shardKey.key)} like the source`);
+  return shardKey;
+};
+
+// Index options of a spec for createIndex on a server of the given version
+// The key, the index version (v) and fields only the source server reports or accepts are removed,
+// so indexes from an older or newer source build with the target's defaults
+const getIndexOptions = (indexSpec, serverVersion = null) => {
+  const options = { ...indexSpec };
+  ['key', 'v', 'ns', 'safe', 'dropDups'].forEach(field => delete options[field]);
+
+  // Builds ignore "background" from 4.2 on; older targets still use it to avoid a blocking build
+  const [major, minor] = serverVersion || [];
+  if (!serverVersion || major > 4 || (major === 4 && minor >= 2)) delete options.background;
+  return options;
+};
+
 // Create an index on the target collection
-const createIndex = async (db, collectionName, indexSpec) => {
+// Returns 'created', 'skipped' (_id_ index), 'exists' or 'failed'; the outcome is recorded in targetReport
+// if given, together with optional details about the build
+const createIndex = async (db, collectionName, indexSpec, targetReport = null, details = null) => {
+  const startedAt = Date.now();
   try {
     const collection = db.collection(collectionName);
     
     // Skip the _id_ index as it's created automatically
     if (indexSpec.name === '_id_') {
       logger.info(`Skipping _id_ index for collection ${collectionName}`);
-      return;
+      return 'skipped';
     }
 
     // Extract the index specification
     const keys = indexSpec.key;
-    const options = { ...indexSpec };
-    
-    // Remove properties that aren't index options
-    delete options.key;
-    delete options.v;
-    delete options.ns;
+    const options = getIndexOptions(indexSpec, await getServerVersion(db));
 
-    // Create the index
-    await collection.createIndex(keys, options);
+    // Create the index (transient errors are retried)
+    const description = `Creating index ${indexSpec.name || JSON.stringify(keys)} on ${collectionName}`;
+    await withRetry(() => collection.createIndex(keys, options), description);
     logger.success(`Successfully created index ${indexSpec.name || JSON.stringify(keys)} on collection ${collectionName}`);
+    recordIndexResult(targetReport, collectionName, indexSpec, 'created', { durationMs: Date.now() - startedAt, details });
+    return 'created';
   } catch (error) {
+    const durationMs = Date.now() - startedAt;
     if (error.code === 85 || error.message.includes('already exists')) {
       logger.warning(`Index ${indexSpec.name || JSON.stringify(indexSpec.key)} already exists on collection ${collectionName} - skipping`);
-    } else {
-      logger.error(`Failed to create index ${indexSpec.name || JSON.stringify(indexSpec.key)} on collection ${collectionName}: ${error.message}`);
+      recordIndexResult(targetReport, collectionName, indexSpec, 'exists', { durationMs, error, details });
+      return 'exists';
     }
+    const errorClass = error.errorClass === 'transient' ? 'transient error, retries exhausted' : 'permanent error';
+    logger.error(`Failed to create index ${indexSpec.name || JSON.stringify(indexSpec.key)} on collection ${collectionName} (${errorClass}): ${error.message}`);
+    recordIndexResult(targetReport, collectionName, indexSpec, 'failed', { durationMs, error, details });
     // Continue with the next index
+    return 'failed';
   }
 };
 
-// Migrate indexes for a collection
-const migrateCollectionIndexes = async (sourceDb, targetDb, collectionName) => {
+// Build several indexes of one collection with a single createIndexes command
+// The server builds them in one pass over the data; if the command fails, the indexes are
+// created one by one so a single bad spec doesn't block the others. Returns one status per spec
+const createIndexesBatch = async (db, collectionName, indexSpecs, targetReport = null) => {
+  if (indexSpecs.length === 1) {
+    return [await createIndex(db, collectionName, indexSpecs[0], targetReport)];
+  }
+
+  const startedAt = Date.now();
+  const names = indexSpecs.map(indexSpec => indexSpec.name || JSON.stringify(indexSpec.key));
   try {
-    logger.info(`Migrating indexes for collection ${collectionName}...`);
-    
-    // Get indexes from source collection
-    const indexes = await getIndexes(sourceDb, collectionName);
-    
-    // Create collection if it doesn't exist
-    if (!await targetDb.listCollections({ name: collectionName }).hasNext()) {
-      await targetDb.createCollection(collectionName);
-      logger.info(`Created collection ${collectionName} in target database`);
-    }
-    
-    // Create each index on the target collection
-    for (const indexSpec of indexes) {
-      await createIndex(targetDb, collectionName, indexSpec);
-    }
-    
-    logger.success(`Completed index migration for collection ${collectionName}`);
+    const collection = db.collection(collectionName);
+    const serverVersion = await getServerVersion(db);
+    const descriptions = indexSpecs.map(indexSpec => ({ key: indexSpec.key, ...getIndexOptions(indexSpec, serverVersion) }));
+    await withRetry(() => collection.createIndexes(descriptions), `Creating ${indexSpecs.length} indexes on ${collectionName}`);
+
+    const durationMs = Date.now() - startedAt;
+    logger.success(`Successfully created ${indexSpecs.length} indexes on collection ${collectionName} in one build: ${names.join(', ')}`);
+    indexSpecs.forEach(indexSpec => recordIndexResult(targetReport, collectionName, indexSpec, 'created', {
+      durationMs,
+      details: { batchSize: indexSpecs.length }
+    }));
+    return indexSpecs.map(() => 'created');
   } catch (error) {
-    logger.error(`Error while migrating indexes for collection ${collectionName}: ${error.message}`);
-    // Continue with the next collection
+    logger.warning(`Batch build of ${indexSpecs.length} indexes on collection ${collectionName} failed (${error.message}) - creating them one by one`);
+    const statuses = [];
+    for (const indexSpec of indexSpecs) {
+      statuses.push(await createIndex(db, collectionName, indexSpec, targetReport));
+    }
+    return statuses;
   }
 };
 
-// Create custom indexes defined in the configuration
-const createCustomIndexes = async (targetDb) => {
-  try {
-    if (!config.customIndexes || config.customIndexes.length === 0) {
-      logger.info('No custom indexes defined in configuration');
-      return;
-    }
+// Default settings for throttled index builds on replica sets (config "throttle")
+const DEFAULT_THROTTLE = {
+  commitQuorum: 'votingMembers',
+  maxLagSeconds: 10,
+  pollIntervalSeconds: 5,
+  maxWaitSeconds: 600
+};
 
-    logger.info(`Creating ${config.customIndexes.length} custom indexes...`);
+// Resolve throttle settings from config.throttle and command line options
+const getThrottleSettings = (options = {}) => {
+  const settings = { ...DEFAULT_THROTTLE, ...(config.throttle || {}) };
+  if (options['max-lag'] !== undefined) {
+    settings.maxLagSeconds = Number(options['max-lag']);
+    if (options['max-lag'] === '' || !Number.isFinite(settings.maxLagSeconds) || settings.maxLagSeconds < 0) {
+      throw new Error(`Invalid --max-lag "${options['max-lag']}" (expected a number of seconds, 0 or more)`);
+    }
+  }
+  if (options['commit-quorum'] !== undefined) {
+    const commitQuorum = options['commit-quorum'];
+    settings.commitQuorum = /^\d+$/.test(commitQuorum) ? Number(commitQuorum) : commitQuorum;
+  }
 
-    for (const customIndex of config.customIndexes) {
-      const { collectionName, index } = customIndex;
-      
-      // Create collection if it doesn't exist
-      if (!await targetDb.listCollections({ name: collectionName }).hasNext()) {
-        await targetDb.createCollection(collectionName);
-        logger.info(`Created collection ${collectionName} in target database`);
-      }
-      
-      await createIndex(targetDb, collectionName, index);
+  // A NaN lag limit is never exceeded, which would turn the lag wait off without a word
+  for (const key of ['maxLagSeconds', 'pollIntervalSeconds', 'maxWaitSeconds']) {
+    if (typeof settings[key] !== 'number' || !Number.isFinite(settings[key]) || settings[key] < 0) {
+      throw new Error(`Invalid throttle.${key} "${settings[key]}" (expected a number of seconds, 0 or more)`);
     }
-    
-    logger.success('Custom indexes creation completed');
-  } catch (error) {
-    logger.error(`Error while creating custom indexes: ${error.message}`);
   }
+  if (settings.pollIntervalSeconds === 0) {
+    throw new Error('Invalid throttle.pollIntervalSeconds "0" (lag and build progress need a pause between checks)');
+  }
+  return settings;
 };
 
-// Interactive index creation mode
-const startInteractiveMode = async (targetClient) => {
-  const targetDb = targetClient.db(config.target.dbName);
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
+// Describe the replica set members and how far each one lags behind the primary
+// Returns null when the server is not part of a replica set
+const getReplicaSetMembers = async (db) => {
+  const admin = db.admin();
+  const hello = await admin.command({ hello: 1 });
+  if (!hello.setName) return null;
+
+  try {
+    const status = await admin.command({ replSetGetStatus: 1 });
+    const primary = status.members.find(member => member.stateStr === 'PRIMARY');
+    return status.members.map(member => ({
+      name: member.name,
+      state: member.stateStr,
+      healthy: member.health === 1,
+      lagSeconds: primary && member.optimeDate && member.stateStr === 'SECONDARY'
+        ? Math.max(0, (primary.optimeDate - member.optimeDate) / 1000)
+        : 0
+    }));
+  } catch (error) {
+    // replSetGetStatus needs the clusterMonitor role; fall back to the host list without lag
+    logger.warning(`Cannot read replica set status (${error.message}) - replication lag is not monitored`);
+    return (hello.hosts || []).map(name => ({
+      name,
+      state: name === hello.primary ? 'PRIMARY' : 'SECONDARY',
+      healthy: true,
+      lagSeconds: null
+    }));
+  }
+};
+
+// Highest replication lag among the healthy secondaries
+const getMaxLag = (members) => Math.max(0, ...members
+  .filter(member => member.healthy && member.lagSeconds !== null)
+  .map(member => member.lagSeconds));
+
+// Format the member list for progress lines
+const formatMembers = (members) => members
+  .map(member => `${member.name} ${member.state}${member.lagSeconds ? ` lag ${member.lagSeconds}s` : ''}${member.healthy ? '' : ' (unhealthy)'}`)
+  .join(', ');
+
+// Progress of the index builds running on a collection, from currentOp
+const getIndexBuildProgress = async (db, collectionName) => {
+  const { inprog } = await db.admin().command({
+    currentOp: 1,
+    'command.createIndexes': collectionName,
+    'command.$db': db.databaseName
   });
+  const build = inprog.find(op => op.progress) || inprog[0];
+  if (!build) return null;
 
-  const promptQuestion = (question) => {
-    return new Promise((resolve) => {
-      rl.question(question, resolve);
+  // msg looks like "Index Build: scanning collection Index Build: scanning collection: 100/500 20%"
+  const phase = build.msg && /Index Build:\s*([^:]+?)(?:\s+Index Build|:|$)/.exec(build.msg);
+  return {
+    phase: phase ? phase[1] : 'running',
+    done: build.progress ? build.progress.done : null,
+    total: build.progress ? build.progress.total : null
+  };
+};
+
+// Wait until replication lag is below the threshold; returns the time spent waiting
+const waitForReplicationLag = async (db, settings) => {
+  const startedAt = Date.now();
+  for (;;) {
+    const members = await getReplicaSetMembers(db) || [];
+    const lag = getMaxLag(members);
+    if (lag <= settings.maxLagSeconds) return Date.now() - startedAt;
+
+    if (Date.now() - startedAt > settings.maxWaitSeconds * 1000) {
+      throw new Error(`Replication lag still ${lag}s after waiting ${settings.maxWaitSeconds}s`);
+    }
+    logger.info(`[throttle] Replication lag ${lag}s exceeds ${settings.maxLagSeconds}s - waiting (${formatMembers(members)})`);
+    await sleep(settings.pollIntervalSeconds * 1000);
+  }
+};
+
+// Create an index with a commit quorum, pausing while replication lags and reporting build progress
+const createIndexThrottled = async (db, collectionName, indexSpec, settings, targetReport = null) => {
+  const indexName = indexSpec.name || JSON.stringify(indexSpec.key);
+  const members = await getReplicaSetMembers(db);
+  if (!members) {
+    logger.warning(`Target is not a replica set - building ${indexName} without throttling`);
+    return createIndex(db, collectionName, indexSpec, targetReport);
+  }
+
+  // Recorded with the index result; updated while the build runs
+  const build = {
+    commitQuorum: settings.commitQuorum,
+    lagWaitMs: 0,
+    progress: null,
+    members
+  };
+
+  try {
+    build.lagWaitMs = await waitForReplicationLag(db, settings);
+  } catch (error) {
+    logger.error(`Not building index ${indexName} on collection ${collectionName}: ${error.message}`);
+    recordIndexResult(targetReport, collectionName, indexSpec, 'failed', { error, details: build });
+    return 'failed';
+  }
+
+  let finished = false;
+  const creation = createIndex(db, collectionName, { ...indexSpec, commitQuorum: settings.commitQuorum }, targetReport, build)
+    .finally(() => { finished = true; });
+
+  while (!finished) {
+    await Promise.race([creation, sleep(settings.pollIntervalSeconds * 1000)]);
+    if (finished) break;
+
+    try {
+      build.progress = await getIndexBuildProgress(db, collectionName) || build.progress;
+      build.members = await getReplicaSetMembers(db) || [];
+      const { progress } = build;
+      const percent = progress && progress.total ? ` ${Math.floor(progress.done / progress.total * 100)}% (${progress.done}/${progress.total})` : '';
+      logger.info(`[throttle] ${collectionName}.${indexName}: ${progress ? progress.phase : 'waiting'}${percent} - ${formatMembers(build.members)}`);
+    } catch (error) {
+      logger.warning(`[throttle] Cannot read build progress for ${collectionName}.${indexName}: ${error.message}`);
+    }
+  }
+
+  return creation;
+};
+
+// Default settings of the index build progress shown by migrate (config "progress")
+const DEFAULT_PROGRESS = {
+  refreshSeconds: 1,
+  intervalSeconds: 30
+};
+
+// Width of the progress bars in characters
+const PROGRESS_BAR_WIDTH = 20;
+
+// Format a duration as 1h02m, 3m05s or 42s
+const formatDuration = (ms) => {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) return `${hours}h${String(minutes).padStart(2, '0')}m`;
+  if (minutes > 0) return `${minutes}m${String(seconds % 60).padStart(2, '0')}s`;
+  return `${seconds}s`;
+};
+
+// Track the index builds of a migrate run on one target: one progress bar per collection being built
+// (documents scanned vs. total from currentOp, phase, elapsed time, ETA of the phase) and an overall line
+// across all collections, whose ETA comes from their estimated document counts. On a terminal the display
+// is redrawn in place every refreshSeconds; otherwise (or with interactive false) the same lines are
+// logged every intervalSeconds. Returns { start, finish, stop }
+const createBuildProgress = async (db, collectionNames, { interactive = true, label = '' } = {}) => {
+  const settings = { ...DEFAULT_PROGRESS, ...(config.progress || {}) };
+  const stream = logToStderr ? process.stderr : process.stdout;
+  const live = interactive && Boolean(stream.isTTY) && !progressDisplay;
+  const startedAt = Date.now();
+
+  const collections = new Map(collectionNames.map(name => [name, { name, status: 'pending', count: null }]));
+  await runWithConcurrency([...collections.values()], 4, async (entry) => {
+    try {
+      entry.count = await db.collection(entry.name).estimatedDocumentCount();
+    } catch (error) {
+      // Not created yet, or a view
+      entry.count = 0;
+    }
+  });
+
+  // Fraction of a collection's build that is done (the current phase's progress when known)
+  const getFraction = (entry) => {
+    if (entry.status === 'done') return 1;
+    const { build } = entry;
+    return entry.status === 'building' && build && build.total > 0 ? Math.min(1, build.done / build.total) : 0;
+  };
+
+  const describeProgress = (entry, now) => {
+    const { build } = entry;
+    const parts = [];
+    let bar = null;
+    if (build && build.total > 0 && build.done !== null) {
+      const fraction = getFraction(entry);
+      const filled = Math.round(fraction * PROGRESS_BAR_WIDTH);
+      bar = `[${'#'.repeat(filled)}${'-'.repeat(PROGRESS_BAR_WIDTH - filled)}] ${Math.floor(fraction * 100)}%`;
+      parts.push(`${build.done}/${build.total} docs`);
+    } else if (entry.count) {
+      parts.push(`~${entry.count} docs`);
+    }
+    parts.push(build ? build.phase : 'starting', `elapsed ${formatDuration(now - entry.startedAt)}`);
+
+    // The phase's rate since it was first seen gives its remaining time
+    if (build && build.total > 0 && entry.phaseStart && build.done > entry.phaseStart.done) {
+      const rate = (build.done - entry.phaseStart.done) / (now - entry.phaseStart.at);
+      parts.push(`ETA ${formatDuration((build.total - build.done) / rate)}`);
+    }
+    return { bar, details: parts.join(', ') };
+  };
+
+  const describeOverall = (now) => {
+    const entries = [...collections.values()];
+    const done = entries.filter(entry => entry.status === 'done').length;
+    const building = entries.filter(entry => entry.status === 'building').length;
+    const parts = [`${done}/${entries.length} collections done`, `${building} building`, `elapsed ${formatDuration(now - startedAt)}`];
+
+    const totalDocs = entries.reduce((sum, entry) => sum + (entry.count || 0), 0);
+    const doneDocs = entries.reduce((sum, entry) => sum + (entry.count || 0) * getFraction(entry), 0);
+    if (doneDocs > 0 && totalDocs > doneDocs) {
+      parts.push(`ETA ~${formatDuration((totalDocs - doneDocs) * (now - startedAt) / doneDocs)}`);
+    }
+    return parts.join(', ');
+  };
+
+  const prefix = label ? `${label} ` : '';
+  const renderLines = () => {
+    const now = Date.now();
+    const building = [...collections.values()].filter(entry => entry.status === 'building');
+    const width = Math.max(0, ...building.map(entry => entry.name.length));
+    const lines = building.map(entry => {
+      const { bar, details } = describeProgress(entry, now);
+      return `${prefix}${entry.name.padEnd(width)} ${bar || ' '.repeat(PROGRESS_BAR_WIDTH + 2)} ${details}`;
+    });
+    return [...lines, `${prefix}Overall: ${describeOverall(now)}`];
+  };
+
+  // Lines are cut to the terminal width so each one takes a single row
+  let drawnLines = 0;
+  const display = {
+    clear: () => {
+      if (drawnLines === 0) return;
+      stream.moveCursor(0, -drawnLines);
+      stream.clearScreenDown();
+      drawnLines = 0;
+    },
+    draw: () => {
+      const lines = renderLines().map(line => line.slice(0, Math.max(20, (stream.columns || 80) - 1)));
+      stream.write(`${lines.join('\n')}\n`);
+      drawnLines = lines.length;
+    }
+  };
+  if (live) progressDisplay = display;
+
+  const logProgress = () => {
+    const now = Date.now();
+    const building = [...collections.values()].filter(entry => entry.status === 'building');
+    if (building.length === 0) return;
+    building.forEach(entry => {
+      const { bar, details } = describeProgress(entry, now);
+      logger.info(`[progress] ${prefix}${entry.name}: ${bar ? `${bar.replace(/^\[[#-]*\] /, '')}, ` : ''}${details}`);
+    });
+    logger.info(`[progress] ${prefix}Overall: ${describeOverall(now)}`);
+  };
+
+  // Poll currentOp for the builds of the collections being built
+  let timer = null;
+  let stopped = false;
+  const poll = async () => {
+    for (const entry of collections.values()) {
+      if (entry.status !== 'building') continue;
+      try {
+        const build = await getIndexBuildProgress(db, entry.name);
+        if (!build) continue;
+        if (!entry.build || entry.build.phase !== build.phase) entry.phaseStart = { done: build.done || 0, at: Date.now() };
+        entry.build = build;
+      } catch (error) {
+        // currentOp needs the inprog privilege; the bar then only shows the elapsed time
+      }
+    }
+    if (stopped) return;
+    if (live) {
+      display.clear();
+      display.draw();
+    } else {
+      logProgress();
+    }
+  };
+  const schedule = () => {
+    timer = setTimeout(async () => {
+      await poll();
+      if (!stopped) schedule();
+    }, (live ? settings.refreshSeconds : settings.intervalSeconds) * 1000);
+    // A run that ends without stop() must not be kept alive by the timer
+    timer.unref();
+  };
+  schedule();
+
+  return {
+    start: (collectionName) => {
+      const entry = collections.get(collectionName) || { name: collectionName, count: 0 };
+      collections.set(collectionName, { ...entry, status: 'building', startedAt: Date.now(), build: null });
+      if (live) {
+        display.clear();
+        display.draw();
+      }
+    },
+    finish: (collectionName) => {
+      const entry = collections.get(collectionName);
+      if (entry) entry.status = 'done';
+      if (live) {
+        display.clear();
+        display.draw();
+      }
+    },
+    stop: () => {
+      stopped = true;
+      clearTimeout(timer);
+      if (live) {
+        display.clear();
+        progressDisplay = null;
+      }
+    }
+  };
+};
+
+// Number of sample _id values shown for documents that fail a pre-flight check
+const PREFLIGHT_SAMPLE_SIZE = 5;
+
+// Filter matching the documents an index would contain (partial filter or sparse)
+const getIndexCoverageFilter = (indexSpec) => {
+  if (indexSpec.partialFilterExpression) return indexSpec.partialFilterExpression;
+  if (indexSpec.sparse) {
+    return { $or: Object.keys(indexSpec.key).map(field => ({ [field]: { $exists: true } })) };
+  }
+  return {};
+};
+
+// Check that the target data allows an index to be built
+// Returns { collectionName, indexName, ok, checks: [{ type, severity, message, ... }] }
+// Checks with severity 'error' would make the build fail; 'warning' and 'info' are reported only
+const validateIndexData = async (db, collectionName, indexSpec) => {
+  const collection = db.collection(collectionName);
+  const indexName = indexSpec.name || JSON.stringify(indexSpec.key);
+  const coverageFilter = getIndexCoverageFilter(indexSpec);
+  const checks = [];
+
+  // Unique: look for groups of documents sharing the same key values
+  if (indexSpec.unique) {
+    const fields = Object.keys(indexSpec.key);
+    const groupKey = Object.fromEntries(fields.map((field, i) => [`k${i}`, { $ifNull: [`$${field}`, null] }]));
+    const pipeline = [
+      { $match: coverageFilter },
+      { $group: { _id: groupKey, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } },
+      {
+        $facet: {
+          groups: [
+            { $sort: { count: -1 } },
+            { $limit: PREFLIGHT_SAMPLE_SIZE }
+          ],
+          total: [{ $group: { _id: null, groups: { $sum: 1 }, documents: { $sum: '$count' } } }]
+        }
+      }
+    ];
+    const aggregateOptions = { allowDiskUse: true };
+    if (indexSpec.collation) aggregateOptions.collation = indexSpec.collation;
+
+    const [{ groups, total }] = await collection.aggregate(pipeline, aggregateOptions).toArray();
+    if (total.length > 0) {
+      // Sample ids are looked up per reported group so the $group stage only keeps counts
+      const duplicates = [];
+      for (const group of groups) {
+        const key = Object.fromEntries(fields.map((field, i) => [field, group._id[`k${i}`]]));
+        const findOptions = { projection: { _id: 1 } };
+        if (indexSpec.collation) findOptions.collation = indexSpec.collation;
+        const samples = await collection.find({ $and: [coverageFilter, key] }, findOptions)
+          .limit(PREFLIGHT_SAMPLE_SIZE)
+          .toArray();
+        duplicates.push({ key, count: group.count, sampleIds: samples.map(doc => doc._id) });
+      }
+
+      checks.push({
+        type: 'unique',
+        severity: 'error',
+        message: `${total[0].groups} duplicate key groups (${total[0].documents} documents)`,
+        duplicates
+      });
+    }
+  }
+
+  // TTL: documents whose field is not a date never expire
+  if (indexSpec.expireAfterSeconds !== undefined) {
+    const field = Object.keys(indexSpec.key)[0];
+    const filter = { $and: [coverageFilter, { [field]: { $exists: true, $not: { $type: 'date' } } }] };
+    const count = await collection.countDocuments(filter);
+    if (count > 0) {
+      const samples = await collection.find(filter, { projection: { _id: 1 } }).limit(PREFLIGHT_SAMPLE_SIZE).toArray();
+      checks.push({
+        type: 'ttl',
+        severity: 'warning',
+        message: `${count} documents have a non-date value in ${field} and will never expire`,
+        sampleIds: samples.map(doc => doc._id)
+      });
+    }
+  }
+
+  // Sparse / partial: how many documents the index would cover
+  if (indexSpec.sparse || indexSpec.partialFilterExpression) {
+    const covered = await collection.countDocuments(coverageFilter);
+    const total = await collection.estimatedDocumentCount();
+    checks.push({
+      type: 'coverage',
+      severity: 'info',
+      message: `index would cover ${covered} of ~${total} documents`,
+      covered,
+      total
     });
+  }
+
+  return {
+    collectionName,
+    indexName,
+    ok: !checks.some(check => check.severity === 'error'),
+    checks
   };
+};
+
+// Log the findings of a pre-flight check
+const logValidationResult = (result) => {
+  for (const check of result.checks) {
+    const message = `[${check.type}] ${result.collectionName}.${result.indexName}: ${check.message}`;
+    if (check.severity === 'error') logger.error(message);
+    else if (check.severity === 'warning') logger.warning(message);
+    else logger.info(message);
+
+    (check.duplicates || []).forEach(duplicate => {
+      console.log(`    ${JSON.stringify(duplicate.key)} x${duplicate.count} - _id: ${duplicate.sampleIds.map(id => JSON.stringify(id)).join(', ')}`);
+    });
+    if (check.sampleIds) {
+      console.log(`    sample _id: ${check.sampleIds.map(id => JSON.stringify(id)).join(', ')}`);
+    }
+  }
+};
+
+// Run pre-flight checks for a list of { collectionName, index } entries
+const validateIndexes = async (db, entries) => {
+  const results = [];
+
+  console.log('\n========== Pre-flight Validation ==========');
+
+  for (const { collectionName, index } of entries) {
+    if (index.name === '_id_') continue;
+
+    if (!await db.listCollections({ name: collectionName }).hasNext()) {
+      logger.info(`Collection ${collectionName} does not exist in target database - nothing to check`);
+      continue;
+    }
+
+    try {
+      const result = await validateIndexData(db, collectionName, index);
+      if (result.checks.length === 0) {
+        logger.success(`${collectionName}.${result.indexName}: OK`);
+      } else {
+        logValidationResult(result);
+      }
+      results.push(result);
+    } catch (error) {
+      logger.error(`Failed to validate ${collectionName}.${index.name || JSON.stringify(index.key)}: ${error.message}`);
+      results.push({ collectionName, indexName: index.name, ok: false, checks: [], error: error.message });
+    }
+  }
+
+  const failed = results.filter(result => !result.ok).length;
+  console.log('\n========== Validation Summary ==========');
+  console.log(`Indexes checked: ${results.length}`);
+  console.log(`Would fail:      ${failed}`);
+
+  return results;
+};
+
+// Indexes that migrate (mode 'migrate') or create (mode 'create') would build on the target
+const getValidationEntries = async (mode, sourceDb, targetDb) => {
+  if (mode === 'create') return config.customIndexes || [];
+
+  const entries = [];
+  const collections = await getCollections(sourceDb, getTargetCollections(config.target));
+  for (const collectionName of collections) {
+    const targetName = mapCollectionName(collectionName);
+    const targetIndexes = await getIndexes(targetDb, targetName);
+    for (const sourceIndex of selectIndexes(collectionName, await getIndexes(sourceDb, collectionName))) {
+      // Indexes that already exist on the target need no check
+      const index = mapIndexSpec(collectionName, sourceIndex);
+      if (!targetIndexes.some(targetIndex => areIndexesEquivalent(index, targetIndex))) {
+        entries.push({ collectionName: targetName, index });
+      }
+    }
+  }
+  return entries;
+};
+
+// Count the result of a createIndex call
+const countIndexResult = (counts, status) => {
+  if (status === 'created') counts.created++;
+  else if (status === 'exists' || status === 'excluded') counts.skipped++;
+  else if (status === 'failed' || status === 'invalid') counts.failed++;
+};
+
+// Check whether an index still has to be built
+// Returns 'skipped' (_id_), 'exists' (an equivalent index is in the list of existing indexes),
+// 'invalid' (options.validate and the pre-flight check failed, or a unique index doesn't start with
+// options.shardKey), 'excluded' (the same in "warn" mode) or null when it must be created
+const checkIndexToCreate = async (db, collectionName, indexSpec, existingIndexes, options = {}) => {
+  if (indexSpec.name === '_id_') return 'skipped';
 
+  const equivalent = existingIndexes.find(index => areIndexesEquivalent(indexSpec, index));
+  if (equivalent) {
+    logger.info(`Index ${indexSpec.name || JSON.stringify(indexSpec.key)} already exists on collection ${collectionName} as ${equivalent.name} - skipping`);
+    recordIndexResult(options.report, collectionName, indexSpec, 'exists');
+    return 'exists';
+  }
+
+  if (indexSpec.unique && options.shardKey && !startsWithShardKey(indexSpec.key, options.shardKey.key)) {
+    const message = `unique index must start with the shard key ${JSON.stringify(options.shardKey.key)}`;
+    const indexName = indexSpec.name || JSON.stringify(indexSpec.key);
+    if (getIncompatibleUniqueMode() === 'warn') {
+      logger.warning(`Skipping index ${indexName} on sharded collection ${collectionName} - ${message}`);
+      recordIndexResult(options.report, collectionName, indexSpec, 'excluded', { error: { message } });
+      return 'excluded';
+    }
+    logger.error(`Can't create index ${indexName} on sharded collection ${collectionName} - ${message}`);
+    recordIndexResult(options.report, collectionName, indexSpec, 'invalid', { error: { message } });
+    return 'invalid';
+  }
+
+  if (options.validate) {
+    try {
+      const validation = await validateIndexData(db, collectionName, indexSpec);
+      logValidationResult(validation);
+      if (!validation.ok) {
+        logger.warning(`Skipping index ${validation.indexName} on collection ${collectionName} - pre-flight check failed`);
+        const messages = validation.checks.filter(check => check.severity === 'error').map(check => check.message);
+        recordIndexResult(options.report, collectionName, indexSpec, 'invalid', { error: { message: messages.join('; ') } });
+        return 'invalid';
+      }
+    } catch (error) {
+      logger.error(`Pre-flight check for index ${indexSpec.name || JSON.stringify(indexSpec.key)} on collection ${collectionName} failed: ${error.message} - skipping`);
+      recordIndexResult(options.report, collectionName, indexSpec, 'invalid', { error });
+      return 'invalid';
+    }
+  }
+  return null;
+};
+
+// Create an index unless an equivalent one is already in the list of existing indexes
+// With options.validate, indexes that fail the pre-flight check are skipped ('invalid');
+// with options.throttle, the build is throttled on replica sets (see createIndexThrottled)
+const createIndexIfMissing = async (db, collectionName, spec, existingIndexes, options = {}) => {
+  const checked = await checkIndexToCreate(db, collectionName, spec, existingIndexes, options);
+  if (checked) return checked;
+
+  // With options.hidden the index is built hidden and staged until "unhide"
+  const indexSpec = options.hidden ? { ...spec, hidden: true } : spec;
+  const status = options.throttle
+    ? await createIndexThrottled(db, collectionName, indexSpec, options.throttle, options.report)
+    : await createIndex(db, collectionName, indexSpec, options.report);
+  if (status === 'created') {
+    existingIndexes.push(spec);
+    if (options.hidden) await stageCreatedIndex(db, collectionName, indexSpec);
+  }
+  return status;
+};
+
+// Migrate indexes for a collection
+// The target collection and index names follow "mapping"; the checkpoint keeps the source names
+const migrateCollectionIndexes = async (sourceDb, targetDb, collectionName, options = {}) => {
+  const counts = { created: 0, skipped: 0, failed: 0 };
+  const targetName = mapCollectionName(collectionName);
   try {
-    logger.info('Starting interactive index creation mode...');
+    logger.info(`Migrating indexes for collection ${describeMapping(collectionName)}...`);
     
-    while (true) {
-      console.log('\n========== Interactive Index Creation ==========');
-      
-      const collectionName = await promptQuestion('Enter collection name (or "exit" to quit): ');
-      if (collectionName.toLowerCase() === 'exit') break;
-      
-      // Check if collection exists, create if not
-      if (!await targetDb.listCollections({ name: collectionName }).hasNext()) {
-        const createCollection = await promptQuestion(`Collection "${collectionName}" doesn't exist. Create it? (y/n): `);
-        if (createCollection.toLowerCase() === 'y') {
-          await targetDb.createCollection(collectionName);
-          logger.info(`Created collection ${collectionName}`);
-        } else {
-          continue;
-        }
+    // Create collection (or view) with the source's options if it doesn't exist
+    const sourceInfo = await getCollectionInfo(sourceDb, collectionName);
+    const created = await ensureCollection(targetDb, targetName, mapCollectionInfo(sourceInfo));
+    if (created) recordCollectionCreated(options.report, targetName);
+    if (sourceInfo.type === 'view') {
+      logger.success(`Completed migration for view ${describeMapping(collectionName)} (views have no indexes)`);
+      if (options.checkpoint) options.checkpoint.markCollection(collectionName);
+      return counts;
+    }
+    
+    // With options.shardCollections a new collection is sharded like the source before its indexes are built;
+    // unique indexes are then checked against the target's shard key
+    if (created && options.shardCollections && sourceInfo.type === 'collection') {
+      await shardLikeSource(sourceDb, targetDb, collectionName, targetName);
+    }
+    const shardKey = await getShardKey(targetDb, targetName);
+    const collectionOptions = shardKey ? { ...options, shardKey } : options;
+    
+    // Get indexes from source collection
+    const indexes = await getIndexes(sourceDb, collectionName, true);
+    
+    const { checkpoint } = options;
+    const markDone = (indexSpec, status) => {
+      countIndexResult(counts, status);
+      if (checkpoint && ['created', 'exists', 'skipped', 'excluded'].includes(status)) {
+        checkpoint.markIndex(collectionName, indexSpec.name);
       }
+    };
+    
+    // Work out which indexes are missing on the target collection
+    const targetIndexes = await withStagedAsVisible(targetDb, targetName, await getIndexes(targetDb, targetName, true));
+    const missing = [];
+    for (const indexSpec of indexes) {
+      if (checkpoint && checkpoint.isIndexDone(collectionName, indexSpec.name)) continue;
       
-      console.log('\nDefine index fields and options:');
-      console.log('Format example for fields: { "email": 1, "username": 1 }');
-      console.log('1 for ascending, -1 for descending, "text" for text index');
-      
-      const fieldsStr = await promptQuestion('Enter index fields as JSON: ');
-      let fields;
-      try {
-        fields = JSON.parse(fieldsStr);
-      } catch (err) {
-        logger.error('Invalid JSON format for index fields. Try again.');
+      if (!isIndexSelected(collectionName, indexSpec.name)) {
+        logger.info(`Index ${indexSpec.name} on collection ${collectionName} is excluded by the index filters - not migrating`);
+        recordIndexResult(options.report, targetName, indexSpec, 'excluded');
+        markDone(indexSpec, 'excluded');
         continue;
       }
       
-      const indexName = await promptQuestion('Enter index name (optional, press Enter to skip): ');
-      
-      const uniqueStr = await promptQuestion('Should this index be unique? (y/n): ');
-      const unique = uniqueStr.toLowerCase() === 'y';
-      
-      const sparseStr = await promptQuestion('Should this index be sparse? (y/n): ');
-      const sparse = sparseStr.toLowerCase() === 'y';
-      
-      const backgroundStr = await promptQuestion('Create index in background? (y/n): ');
-      const background = backgroundStr.toLowerCase() === 'y';
+      // With options.hidden the index is built hidden and staged until "unhide"
+      const mappedSpec = mapIndexSpec(collectionName, indexSpec);
+      const status = await checkIndexToCreate(targetDb, targetName, mappedSpec, targetIndexes, collectionOptions);
+      if (status) markDone(indexSpec, status);
+      else missing.push({ indexSpec, targetSpec: options.hidden ? { ...mappedSpec, hidden: true } : mappedSpec });
+    }
+    
+    // Build the missing indexes together, or one at a time while throttling
+    let statuses = [];
+    if (options.progress && missing.length > 0) options.progress.start(targetName);
+    if (options.throttle) {
+      for (const { targetSpec } of missing) {
+        statuses.push(await createIndexThrottled(targetDb, targetName, targetSpec, options.throttle, options.report));
+      }
+    } else if (missing.length > 0) {
+      statuses = await createIndexesBatch(targetDb, targetName, missing.map(({ targetSpec }) => targetSpec), options.report);
+    }
+    for (const [i, { indexSpec, targetSpec }] of missing.entries()) {
+      if (options.hidden && statuses[i] === 'created') await stageCreatedIndex(targetDb, targetName, targetSpec);
+      markDone(indexSpec, statuses[i]);
+    }
+    
+    // Only a collection without failures is complete; a resumed run retries the rest
+    if (checkpoint && counts.failed === 0) checkpoint.markCollection(collectionName);
+    logger.success(`Completed index migration for collection ${describeMapping(collectionName)}`);
+  } catch (error) {
+    logger.error(`Error while migrating indexes for collection ${describeMapping(collectionName)}: ${error.message}`);
+    if (options.report) {
+      getCollectionReport(options.report, targetName).error = error.message;
+      options.report.failed++;
+    }
+    counts.failed++;
+    // Continue with the next collection
+  } finally {
+    if (options.progress) options.progress.finish(targetName);
+  }
+  return counts;
+};
+
+// Create custom indexes defined in the configuration
+const createCustomIndexes = async (targetDb, customIndexes = config.customIndexes, options = {}) => {
+  const counts = { created: 0, skipped: 0, failed: 0 };
+  try {
+    if (!customIndexes || customIndexes.length === 0) {
+      logger.info('No custom indexes defined in configuration');
+      return counts;
+    }
+
+    logger.info(`Creating ${customIndexes.length} custom indexes...`);
+
+    const { checkpoint } = options;
+    const targetIndexes = new Map();
+    const shardKeys = new Map();
+    for (const customIndex of customIndexes) {
+      const { collectionName, index } = customIndex;
+      const indexName = index.name || JSON.stringify(index.key);
+      if (checkpoint && checkpoint.isIndexDone(collectionName, indexName)) continue;
       
-      const ttlStr = await promptQuestion('Add TTL expiration (seconds, 0 for none): ');
-      const ttl = parseInt(ttlStr);
+      // Create collection if it doesn't exist
+      if (await ensureCollection(targetDb, collectionName)) {
+        recordCollectionCreated(options.report, collectionName);
+      }
       
-      // Build index specification
-      const indexSpec = {
-        key: fields,
-        background
+      if (!targetIndexes.has(collectionName)) {
+        const indexes = await getIndexes(targetDb, collectionName, true);
+        targetIndexes.set(collectionName, await withStagedAsVisible(targetDb, collectionName, indexes));
+        shardKeys.set(collectionName, await getShardKey(targetDb, collectionName));
+      }
+      const shardKey = shardKeys.get(collectionName);
+      const status = await createIndexIfMissing(
+        targetDb, collectionName, index, targetIndexes.get(collectionName), shardKey ? { ...options, shardKey } : options
+      );
+      countIndexResult(counts, status);
+      if (checkpoint && ['created', 'exists', 'skipped'].includes(status)) {
+        checkpoint.markIndex(collectionName, indexName);
+      }
+    }
+    
+    logger.success('Custom indexes creation completed');
+  } catch (error) {
+    logger.error(`Error while creating custom indexes: ${error.message}`);
+    if (options.report) {
+      options.report.error = error.message;
+      options.report.failed++;
+    }
+    counts.failed++;
+  }
+  return counts;
+};
+
+// Plan the index operations for a collection without touching the target
+// sourceInfo (listCollections entry, migrate only) adds the collection type and options to create,
+// or their drift, and maps the source collection and index specs to their target names ("mapping");
+// shardKey (the target's, or the one the collection would be sharded on) makes incompatible unique indexes conflicts
+const planCollectionIndexes = async (targetDb, collectionName, indexSpecs, sourceInfo = null, shardKey = null) => {
+  const targetName = sourceInfo ? mapCollectionName(collectionName) : collectionName;
+  const [targetInfo] = await targetDb.listCollections({ name: targetName }).toArray();
+  const collectionExists = Boolean(targetInfo);
+  const isView = collectionExists ? targetInfo.type === 'view' : Boolean(sourceInfo && sourceInfo.type === 'view');
+  const targetIndexes = collectionExists && !isView ? await getIndexes(targetDb, targetName) : [];
+
+  const plan = {
+    collectionName: targetName,
+    sourceCollectionName: collectionName,
+    createCollection: !collectionExists,
+    collection: sourceInfo ? describeCollection(sourceInfo) : 'collection',
+    collectionOptions: sourceInfo && !collectionExists ? getCollectionCreateOptions(sourceInfo) : {},
+    optionDrift: sourceInfo && collectionExists
+      ? diffCollectionOptions(sourceInfo, { type: targetInfo.type || 'collection', options: targetInfo.options || {} })
+      : [],
+    shardKey: shardKey ? shardKey.key : null,
+    create: [],
+    skip: [],
+    excluded: [],
+    conflicts: []
+  };
+
+  for (const sourceSpec of indexSpecs) {
+    // The _id_ index is created automatically with the collection
+    if (sourceSpec.name === '_id_') continue;
+
+    // migrate leaves out the indexes rejected by "includeIndexes" / "excludeIndexes"
+    if (sourceInfo && !isIndexSelected(collectionName, sourceSpec.name)) {
+      plan.excluded.push(sourceSpec);
+      continue;
+    }
+    const indexSpec = sourceInfo ? mapIndexSpec(collectionName, sourceSpec) : sourceSpec;
+
+    // Indexes planned earlier in this run count as existing ones
+    const existingIndexes = [...targetIndexes, ...plan.create];
+
+    const equivalent = existingIndexes.find(index => areIndexesEquivalent(indexSpec, index));
+    if (equivalent) {
+      plan.skip.push({ index: indexSpec, existingName: equivalent.name });
+      continue;
+    }
+
+    const sameName = indexSpec.name && existingIndexes.find(index => index.name === indexSpec.name);
+    if (sameName) {
+      plan.conflicts.push({ index: indexSpec, existing: sameName, reason: 'name' });
+      continue;
+    }
+
+    const sameKey = existingIndexes.find(index =>
+      JSON.stringify(index.key) === JSON.stringify(indexSpec.key)
+    );
+    if (sameKey) {
+      plan.conflicts.push({ index: indexSpec, existing: sameKey, reason: 'key' });
+      continue;
+    }
+
+    if (indexSpec.unique && shardKey && !startsWithShardKey(indexSpec.key, shardKey.key)) {
+      plan.conflicts.push({ index: indexSpec, existing: null, reason: 'shardKey' });
+      continue;
+    }
+
+    plan.create.push(indexSpec);
+  }
+
+  return plan;
+};
+
+// Build an execution plan for the migrate or create command
+// options.shardCollections plans new collections sharded like the source (see shardLikeSource)
+const buildExecutionPlan = async (command, sourceDb, targetDb, target = config.target, options = {}) => {
+  // Group the index specifications to apply by collection
+  const specsByCollection = new Map();
+  const sourceInfos = new Map();
+
+  if (command === 'migrate') {
+    const collections = await getCollectionInfos(sourceDb, getTargetCollections(target));
+    for (const info of collections) {
+      sourceInfos.set(info.name, info);
+      specsByCollection.set(info.name, info.type === 'view' ? [] : await getIndexes(sourceDb, info.name));
+    }
+  } else {
+    for (const { collectionName, index } of getTargetCustomIndexes(target)) {
+      if (!specsByCollection.has(collectionName)) specsByCollection.set(collectionName, []);
+      specsByCollection.get(collectionName).push(index);
+    }
+  }
+
+  const collections = [];
+  for (const [collectionName, indexSpecs] of specsByCollection) {
+    const sourceInfo = mapCollectionInfo(sourceInfos.get(collectionName));
+    const targetName = sourceInfo ? mapCollectionName(collectionName) : collectionName;
+    let shardKey = await getShardKey(targetDb, targetName);
+    if (!shardKey && options.shardCollections && sourceInfo && sourceInfo.type === 'collection' &&
+        await isShardedCluster(targetDb) && (await targetDb.listCollections({ name: targetName }).toArray()).length === 0) {
+      const sourceShardKey = await getShardKey(sourceDb, collectionName);
+      if (sourceShardKey) shardKey = { ...sourceShardKey, key: mapFieldKeys(sourceShardKey.key, getFieldMapping(collectionName)) };
+    }
+    collections.push(await planCollectionIndexes(targetDb, collectionName, indexSpecs, sourceInfo, shardKey));
+  }
+
+  return {
+    command,
+    generatedAt: new Date().toISOString(),
+    source: command === 'migrate' ? { dbName: config.source.dbName } : null,
+    target: { name: target.name, dbName: target.dbName },
+    summary: {
+      collectionsToCreate: collections.filter(plan => plan.createCollection).length,
+      indexesToCreate: collections.reduce((sum, plan) => sum + plan.create.length, 0),
+      indexesToSkip: collections.reduce((sum, plan) => sum + plan.skip.length, 0),
+      indexesExcluded: collections.reduce((sum, plan) => sum + plan.excluded.length, 0),
+      conflicts: collections.reduce((sum, plan) => sum + plan.conflicts.length, 0)
+    },
+    collections
+  };
+};
+
+// Print an execution plan in human-readable form
+const printExecutionPlan = (plan) => {
+  console.log('\n========== Execution Plan (dry run) ==========');
+  console.log(`Command: ${plan.command}`);
+  console.log(`Target database: ${plan.target.dbName}${plan.target.name ? ` (${plan.target.name})` : ''}`);
+
+  for (const collectionPlan of plan.collections) {
+    const renamed = collectionPlan.sourceCollectionName !== collectionPlan.collectionName;
+    console.log(`\nCollection: ${renamed ? `${collectionPlan.sourceCollectionName} -> ` : ''}${collectionPlan.collectionName}`);
+    if (collectionPlan.createCollection) {
+      console.log(`  + create ${collectionPlan.collection}${collectionPlan.shardKey ? `, sharded on ${JSON.stringify(collectionPlan.shardKey)}` : ''}`);
+    } else if (collectionPlan.shardKey) {
+      console.log(`  (sharded on ${JSON.stringify(collectionPlan.shardKey)})`);
+    }
+    if (collectionPlan.optionDrift.length > 0) {
+      const options = collectionPlan.optionDrift.map(({ option }) => option).join(', ');
+      console.log(`  ~ collection options differ from the source: ${options} (left unchanged)`);
+    }
+    collectionPlan.create.forEach(index => {
+      console.log(`  + create index ${index.name || JSON.stringify(index.key)} ${JSON.stringify(index.key)}`);
+    });
+    collectionPlan.skip.forEach(({ index, existingName }) => {
+      console.log(`  = skip index ${index.name || JSON.stringify(index.key)} (equivalent to existing ${existingName})`);
+    });
+    collectionPlan.excluded.forEach(index => {
+      console.log(`  - exclude index ${index.name} (index filters)`);
+    });
+    collectionPlan.conflicts.forEach(({ index, existing, reason }) => {
+      const details = {
+        name: () => `existing index with the same name has key ${JSON.stringify(existing.key)}`,
+        key: () => `existing index ${existing.name} has the same key with different options`,
+        shardKey: () => `unique index must start with the shard key ${JSON.stringify(collectionPlan.shardKey)}`
       };
-      
-      if (indexName) indexSpec.name = indexName;
-      if (unique) indexSpec.unique = true;
-      if (sparse) indexSpec.sparse = true;
-      if (ttl > 0) indexSpec.expireAfterSeconds = ttl;
-      
-      // Confirm and create index
-      console.log('\nIndex specification:');
-      console.log(JSON.stringify(indexSpec, null, 2));
-      
-      const confirmCreate = await promptQuestion('Create this index? (y/n): ');
-      if (confirmCreate.toLowerCase() === 'y') {
-        await createIndex(targetDb, collectionName, indexSpec);
-        
-        // Ask if the user wants to save this index to config
-        const saveToConfig = await promptQuestion('Save this index to config.json for future use? (y/n): ');
-        if (saveToConfig.toLowerCase() === 'y') {
-          if (!config.customIndexes) config.customIndexes = [];
-          
-          config.customIndexes.push({
-            collectionName,
-            index: indexSpec
-          });
-          
-          // Save updated config
-          fs.writeFileSync(
-            path.join(__dirname, 'config.json'),
-            JSON.stringify(config, null, 2),
-            'utf8'
-          );
-          logger.info('Index added to configuration file');
+      const detail = details[reason]();
+      console.log(`  ! conflict ${index.name || JSON.stringify(index.key)}: ${detail}`);
+    });
+    if (!collectionPlan.createCollection && collectionPlan.optionDrift.length === 0 &&
+        collectionPlan.create.length === 0 && collectionPlan.skip.length === 0 && collectionPlan.excluded.length === 0 && collectionPlan.conflicts.length === 0) {
+      console.log('  (nothing to do)');
+    }
+  }
+
+  const { summary } = plan;
+  console.log('\n========== Plan Summary ==========');
+  console.log(`Collections to create: ${summary.collectionsToCreate}`);
+  console.log(`Indexes to create:     ${summary.indexesToCreate}`);
+  console.log(`Indexes to skip:       ${summary.indexesToSkip}`);
+  console.log(`Indexes excluded:      ${summary.indexesExcluded}`);
+  console.log(`Conflicts:             ${summary.conflicts}`);
+};
+
+// Index key values the interactive mode accepts
+const INDEX_KEY_TYPES = [1, -1, 'text', '2d', '2dsphere', 'hashed'];
+
+// Field paths found in a sample of a collection's documents, for completion and key checks
+const sampleFieldPaths = async (db, collectionName, sampleSize = 100) => {
+  const paths = new Set();
+  const collect = (value, prefix) => {
+    if (Array.isArray(value)) {
+      value.forEach(item => collect(item, prefix));
+      return;
+    }
+    if (!isPlainDocument(value)) return;
+    for (const [field, item] of Object.entries(value)) {
+      const fieldPath = prefix ? `${prefix}.${field}` : field;
+      paths.add(fieldPath);
+      collect(item, fieldPath);
+    }
+  };
+
+  try {
+    const documents = await db.collection(collectionName).aggregate([{ $sample: { size: sampleSize } }]).toArray();
+    documents.forEach(document => collect(document, ''));
+  } catch (error) {
+    logger.warning(`Could not sample documents of ${collectionName}: ${error.message}`);
+  }
+  return [...paths].sort();
+};
+
+// Check an index specification before it is created
+// Returns { errors, warnings }; fields missing from the sampled field paths are only warnings
+const checkIndexSpec = (indexSpec, fieldPaths = []) => {
+  const errors = [];
+  const warnings = [];
+  const { key } = indexSpec;
+  if (!isPlainDocument(key) || Object.keys(key).length === 0) {
+    return { errors: ['the key must be a non-empty object such as { "email": 1 }'], warnings };
+  }
+
+  const entries = Object.entries(key);
+  const types = entries.map(([, type]) => type);
+  entries.filter(([, type]) => !INDEX_KEY_TYPES.includes(type)).forEach(([field, type]) => {
+    errors.push(`"${field}": ${JSON.stringify(type)} is not an index type (use ${INDEX_KEY_TYPES.map(t => JSON.stringify(t)).join(', ')})`);
+  });
+  if (types.filter(type => type === 'hashed').length > 1) errors.push('only one field can be hashed');
+  if (indexSpec.unique && types.includes('hashed')) errors.push('hashed indexes can\'t be unique');
+  if (types.includes('2d') && types[0] !== '2d') errors.push('the 2d field must come first in the key');
+
+  const isWildcard = entries.some(([field, type]) => (field === '$**' || field.endsWith('.$**')) && typeof type === 'number');
+  if (isWildcard && (indexSpec.unique || indexSpec.expireAfterSeconds !== undefined)) {
+    errors.push('wildcard indexes can\'t be unique or TTL');
+  }
+  if (indexSpec.wildcardProjection && key['$**'] === undefined) errors.push('wildcardProjection needs a "$**" key');
+  if (indexSpec.expireAfterSeconds !== undefined &&
+      (entries.length > 1 || typeof types[0] !== 'number' || !(indexSpec.expireAfterSeconds >= 0))) {
+    errors.push('TTL needs a single ascending or descending field and a number of seconds >= 0');
+  }
+  if (indexSpec.partialFilterExpression !== undefined && !isPlainDocument(indexSpec.partialFilterExpression)) {
+    errors.push('the partial filter must be an object such as { "status": { "$eq": "active" } }');
+  }
+  if (indexSpec.partialFilterExpression && indexSpec.sparse) errors.push('an index can\'t be both sparse and partial');
+  if (indexSpec.collation !== undefined && (!isPlainDocument(indexSpec.collation) || typeof indexSpec.collation.locale !== 'string')) {
+    errors.push('the collation needs a "locale", e.g. { "locale": "id", "strength": 2 }');
+  }
+
+  // Fields that don't show up in the sampled documents are often typos
+  if (fieldPaths.length > 0) {
+    entries
+      .map(([field]) => field)
+      .filter(field => !field.includes('$**') && !fieldPaths.includes(field))
+      .forEach(field => warnings.push(`field "${field}" was not found in the sampled documents`));
+  }
+  return { errors, warnings };
+};
+
+// Warnings about existing indexes that make a new index unnecessary or will conflict with it
+const findSimilarIndexes = (indexSpec, existingIndexes) => {
+  const name = indexSpec.name || getDefaultIndexName(indexSpec.key);
+  const warnings = [];
+  existingIndexes.forEach(index => {
+    if (areIndexesEquivalent(indexSpec, index)) {
+      warnings.push(`existing index ${index.name} is equivalent - nothing would be created`);
+    } else if (index.name === name) {
+      warnings.push(`an index named ${name} already exists with key ${JSON.stringify(index.key)}`);
+    } else if (JSON.stringify(index.key) === JSON.stringify(indexSpec.key)) {
+      warnings.push(`existing index ${index.name} has the same key with other options - the server may reject this one`);
+    } else if (isKeyPrefix(indexSpec.key, index.key)) {
+      warnings.push(`existing index ${index.name} ${JSON.stringify(index.key)} already serves queries on this key`);
+    }
+  });
+  return warnings;
+};
+
+// Print the indexes of a collection as a numbered list
+const printIndexList = (collectionName, indexes) => {
+  console.log(`\nIndexes of ${collectionName}:`);
+  if (indexes.length === 0) {
+    console.log('  No indexes found');
+    return;
+  }
+  indexes.forEach((index, i) => {
+    const options = describeIndexOptions(index);
+    console.log(`  ${i + 1}. ${index.name} ${JSON.stringify(index.key)}${options.length > 0 ? ` (${options.join(', ')})` : ''}`);
+  });
+};
+
+// Interactive index management: browse, create, modify, hide and drop indexes of the target
+// Collection names, field paths (sampled from documents) and index names complete with Tab
+const startInteractiveMode = async (targetClient) => {
+  const targetDb = targetClient.db(config.target.dbName);
+
+  // Candidates for Tab completion of the current prompt
+  let completions = [];
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    completer: (line) => {
+      const [word] = line.match(/[\w.$-]*$/);
+      return [completions.filter(candidate => candidate.startsWith(word)), word];
+    }
+  });
+
+  const promptQuestion = (question) => {
+    return new Promise((resolve) => {
+      rl.question(question, resolve);
+    });
+  };
+
+  // y/n question; Enter keeps the current answer
+  const promptYesNo = async (question, current = false) => {
+    const answer = (await promptQuestion(`${question} (y/n) [${current ? 'y' : 'n'}]: `)).trim().toLowerCase();
+    return answer === '' ? current : answer === 'y';
+  };
+
+  // Free-text or number question; Enter keeps the current value and "-" removes it
+  const promptValue = async (question, current, parse = value => value) => {
+    while (true) {
+      const answer = (await promptQuestion(`${question}${current !== undefined ? ` [${typeof current === 'string' ? current : JSON.stringify(current)}]` : ''}: `)).trim();
+      if (answer === '') return current;
+      if (answer === '-') return undefined;
+      try {
+        return parse(answer);
+      } catch (error) {
+        logger.error(`${error.message} - try again`);
+      }
+    }
+  };
+  const parseJson = (text) => BSON.EJSON.parse(text, { relaxed: true });
+  const parseNumber = (text) => {
+    const number = Number(text);
+    if (!Number.isFinite(number)) throw new Error(`"${text}" is not a number`);
+    return number;
+  };
+
+  // Ask for every option of an index, starting from current (modify) or from scratch (create)
+  const promptIndexSpec = async (fieldPaths, current = {}) => {
+    completions = fieldPaths;
+    console.log('\nKey example: { "email": 1, "createdAt": -1 } - values 1, -1, "text", "2d", "2dsphere", "hashed";');
+    console.log('"$**" or "field.$**" for a wildcard index. Enter keeps the value in brackets, "-" removes it.');
+
+    const spec = { key: await promptValue('Index key (JSON)', current.key, parseJson) };
+    const types = isPlainDocument(spec.key) ? Object.values(spec.key) : [];
+    const name = await promptValue('Index name (Enter for the generated name)', current.name);
+    if (name) spec.name = name;
+
+    if (await promptYesNo('Unique?', Boolean(current.unique))) spec.unique = true;
+    if (await promptYesNo('Sparse?', Boolean(current.sparse))) spec.sparse = true;
+    if (await promptYesNo('Hidden (built, but not used by queries)?', Boolean(current.hidden))) spec.hidden = true;
+    if (types.length === 1 && typeof types[0] === 'number') {
+      const ttl = await promptValue('TTL in seconds (documents expire this long after the date in the field)', current.expireAfterSeconds, parseNumber);
+      if (ttl !== undefined) spec.expireAfterSeconds = ttl;
+    }
+
+    completions = fieldPaths.map(field => `"${field}"`).concat(fieldPaths);
+    const partialFilterExpression = await promptValue('Partial filter (JSON, e.g. { "status": "active" })', current.partialFilterExpression, parseJson);
+    if (partialFilterExpression !== undefined) spec.partialFilterExpression = partialFilterExpression;
+    const collation = await promptValue('Collation (JSON, e.g. { "locale": "id", "strength": 2 })', current.collation, parseJson);
+    if (collation !== undefined) spec.collation = collation;
+
+    // Options of special index types
+    if (types.includes('text')) {
+      const weights = await promptValue('Text weights (JSON, e.g. { "title": 10, "body": 1 })', current.weights, parseJson);
+      if (weights !== undefined) spec.weights = weights;
+      const defaultLanguage = await promptValue('Default language', current.default_language);
+      if (defaultLanguage !== undefined) spec.default_language = defaultLanguage;
+      const languageOverride = await promptValue('Language override field', current.language_override);
+      if (languageOverride !== undefined) spec.language_override = languageOverride;
+    }
+    if (types.includes('2dsphere')) {
+      const version = await promptValue('2dsphere index version', current['2dsphereIndexVersion'], parseNumber);
+      if (version !== undefined) spec['2dsphereIndexVersion'] = version;
+    }
+    if (types.includes('2d')) {
+      for (const option of ['bits', 'min', 'max']) {
+        const value = await promptValue(`2d ${option} (default ${GEO_2D_DEFAULTS[option]})`, current[option], parseNumber);
+        if (value !== undefined) spec[option] = value;
+      }
+    }
+    if (isPlainDocument(spec.key) && spec.key['$**'] !== undefined) {
+      const wildcardProjection = await promptValue('Wildcard projection (JSON, e.g. { "meta": 1 })', current.wildcardProjection, parseJson);
+      if (wildcardProjection !== undefined) spec.wildcardProjection = wildcardProjection;
+    }
+
+    // Builds only run in the background on request before MongoDB 4.2
+    const [major, minor] = (await getServerVersion(targetDb)) || [];
+    if (major !== undefined && (major < 4 || (major === 4 && minor < 2))) {
+      if (await promptYesNo('Create index in background?', current.background !== false)) spec.background = true;
+    }
+    return spec;
+  };
+
+  // Ask for an index until it passes checkIndexSpec, showing warnings about it and about similar indexes
+  const promptValidIndexSpec = async (fieldPaths, existingIndexes, current = {}) => {
+    let spec = current;
+    while (true) {
+      spec = await promptIndexSpec(fieldPaths, spec);
+      const { errors, warnings } = checkIndexSpec(spec, fieldPaths);
+      errors.forEach(error => logger.error(error));
+      [...warnings, ...findSimilarIndexes(spec, existingIndexes)].forEach(warning => logger.warning(warning));
+      if (errors.length === 0) return spec;
+      if (!await promptYesNo('Fix the index definition?', true)) return null;
+    }
+  };
+
+  // Pick an index of the collection by name or list number
+  const pickIndex = async (collectionName, indexes) => {
+    printIndexList(collectionName, indexes);
+    completions = indexes.map(index => index.name);
+    const answer = (await promptQuestion('Index name or number (Enter to cancel): ')).trim();
+    if (answer === '') return null;
+    // Names win over list numbers: "2dsphere_loc" is a name, only all-digit answers are numbers
+    const index = indexes.find(candidate => candidate.name === answer) ||
+      (/^\d+$/.test(answer) ? indexes[Number(answer) - 1] : undefined);
+    if (!index) logger.error(`No index "${answer}"`);
+    return index || null;
+  };
+
+  const createAction = async (collectionName, indexes, fieldPaths) => {
+    const indexSpec = await promptValidIndexSpec(fieldPaths, indexes);
+    if (!indexSpec) return;
+
+    console.log('\nIndex specification:');
+    console.log(JSON.stringify(indexSpec, null, 2));
+    if (!await promptYesNo('Create this index?')) return;
+
+    const status = await createIndex(targetDb, collectionName, indexSpec);
+    if (status !== 'created') return;
+    if (indexSpec.hidden) await stageCreatedIndex(targetDb, collectionName, indexSpec);
+
+    if (await promptYesNo(`Save this index to ${path.basename(configPath)} for future use?`)) {
+      if (!config.customIndexes) config.customIndexes = [];
+      config.customIndexes.push({ collectionName, index: indexSpec });
+      saveCustomIndexes();
+      logger.info('Index added to configuration file');
+    }
+  };
+
+  const modifyAction = async (collectionName, indexes, fieldPaths) => {
+    const index = await pickIndex(collectionName, indexes.filter(candidate => candidate.name !== '_id_'));
+    if (!index) return;
+
+    const { v, ns, ...current } = index;
+    const indexSpec = await promptValidIndexSpec(fieldPaths, indexes.filter(other => other.name !== index.name), current);
+    if (!indexSpec) return;
+    if (areIndexesEquivalent(indexSpec, index) && (indexSpec.name || getDefaultIndexName(indexSpec.key)) === index.name) {
+      logger.info('Nothing changed');
+      return;
+    }
+
+    // Visibility and the TTL of a TTL index change in place; anything else means dropping and rebuilding
+    const inPlace = ({ hidden, expireAfterSeconds, ...rest }) => rest;
+    const sameTtlKind = (index.expireAfterSeconds === undefined) === (indexSpec.expireAfterSeconds === undefined);
+    if (sameTtlKind && indexSpec.name === index.name && areIndexesEquivalent(inPlace(indexSpec), inPlace(index))) {
+      const change = { name: index.name };
+      if (Boolean(indexSpec.hidden) !== Boolean(index.hidden)) change.hidden = Boolean(indexSpec.hidden);
+      if (indexSpec.expireAfterSeconds !== index.expireAfterSeconds) change.expireAfterSeconds = indexSpec.expireAfterSeconds;
+      if (!await promptYesNo(`Change ${Object.keys(change).filter(key => key !== 'name').join(' and ')} of ${index.name} in place?`)) return;
+      if (change.expireAfterSeconds !== undefined) {
+        const ttl = { name: index.name, expireAfterSeconds: change.expireAfterSeconds };
+        await withRetry(() => targetDb.command({ collMod: collectionName, index: ttl }), `Modifying index ${index.name} on ${collectionName}`);
+        logger.success(`Index ${index.name} on collection ${collectionName} modified`);
+      }
+      // Visibility goes through the staging ledger so "drop" and "staging" see the change
+      if (change.hidden === true) await hideIndex(targetDb, collectionName, index.name);
+      else if (change.hidden === false) await unhideIndex(targetDb, collectionName, index.name);
+      return;
+    }
+
+    console.log('\nNew index specification:');
+    console.log(JSON.stringify(indexSpec, null, 2));
+    if (!await promptYesNo(`Drop ${index.name} and build the new definition? Queries can't use it until the build finishes`)) return;
+    if (await dropIndex(targetDb, collectionName, index.name) &&
+        await createIndex(targetDb, collectionName, indexSpec) === 'failed') {
+      logger.warning(`The previous definition of ${index.name} was: ${JSON.stringify(current)}`);
+    }
+  };
+
+  const hideAction = async (collectionName, indexes) => {
+    const index = await pickIndex(collectionName, indexes.filter(candidate => candidate.name !== '_id_'));
+    if (!index) return;
+    if (index.hidden) {
+      if (await promptYesNo(`Unhide ${index.name} so queries use it again?`)) await unhideIndex(targetDb, collectionName, index.name);
+    } else if (await promptYesNo(`Hide ${index.name} from queries (staged for "drop")?`)) {
+      await hideIndex(targetDb, collectionName, index.name);
+    }
+  };
+
+  const dropAction = async (collectionName, indexes) => {
+    const index = await pickIndex(collectionName, indexes.filter(candidate => candidate.name !== '_id_'));
+    if (!index) return;
+    console.log(JSON.stringify(index, null, 2));
+    if (await promptYesNo(`Drop ${index.name}? (hiding it first shows whether queries still need it)`)) {
+      await dropIndex(targetDb, collectionName, index.name);
+    }
+  };
+
+  // Choose (or create) the collection to work on; null to quit
+  const chooseCollection = async () => {
+    completions = (await getCollectionInfos(targetDb, [])).map(info => info.name);
+    while (true) {
+      const collectionName = (await promptQuestion('\nCollection name (Tab completes, "exit" to quit): ')).trim();
+      if (collectionName === '') continue;
+      if (collectionName.toLowerCase() === 'exit') return null;
+
+      // Check if collection exists, create if not
+      if (await targetDb.listCollections({ name: collectionName }).hasNext()) return collectionName;
+      if (await promptYesNo(`Collection "${collectionName}" doesn't exist. Create it?`)) {
+        await targetDb.createCollection(collectionName);
+        logger.info(`Created collection ${collectionName}`);
+        return collectionName;
+      }
+    }
+  };
+
+  const actions = [
+    { label: 'List indexes', run: (collectionName, indexes) => printIndexList(collectionName, indexes) },
+    { label: 'Create index', run: createAction },
+    { label: 'Modify index', run: modifyAction },
+    { label: 'Hide / unhide index', run: hideAction },
+    { label: 'Drop index', run: dropAction }
+  ];
+
+  try {
+    logger.info('Starting interactive index management...');
+    console.log('\n========== Interactive Index Management ==========');
+
+    let collectionName = await chooseCollection();
+    let fieldPaths = collectionName ? await sampleFieldPaths(targetDb, collectionName) : [];
+    while (collectionName) {
+      const indexes = await getIndexes(targetDb, collectionName);
+      console.log(`\nCollection ${collectionName} - ${indexes.length} indexes, ${fieldPaths.length} fields sampled`);
+      actions.forEach(({ label }, i) => console.log(`  ${i + 1}) ${label}`));
+      console.log(`  ${actions.length + 1}) Other collection`);
+      console.log('  0) Exit');
+
+      completions = [];
+      const choice = parseInt(await promptQuestion('Choose: '));
+      if (choice === 0) break;
+      if (choice === actions.length + 1) {
+        collectionName = await chooseCollection();
+        fieldPaths = collectionName ? await sampleFieldPaths(targetDb, collectionName) : [];
+        continue;
+      }
+      if (!actions[choice - 1]) {
+        logger.error('Unknown choice');
+        continue;
+      }
+
+      // A failed action leaves the session running
+      try {
+        await actions[choice - 1].run(collectionName, indexes, fieldPaths);
+      } catch (error) {
+        logger.error(`${actions[choice - 1].label} failed: ${error.message}`);
+      }
+    }
+
+    logger.success('Interactive index management completed');
+  } catch (error) {
+    logger.error(`Error in interactive mode: ${error.message}`);
+  } finally {
+    rl.close();
+  }
+};
+
+// List all indexes in a database
+const listAllIndexes = async (client, dbName) => {
+  try {
+    const db = client.db(dbName);
+    const collections = await getCollections(db, []);
+    
+    console.log('\n========== Current Indexes ==========');
+    console.log(`Database: ${dbName}`);
+    
+    for (const collectionName of collections) {
+      const indexes = selectIndexes(collectionName, await getIndexes(db, collectionName));
+      
+      console.log(`\nCollection: ${collectionName}`);
+      console.log('Indexes:');
+      
+      if (indexes.length === 0) {
+        console.log('  No indexes found');
+        continue;
+      }
+      
+      indexes.forEach((index, i) => {
+        console.log(`  ${i + 1}. Name: ${index.name}`);
+        console.log(`     Key: ${JSON.stringify(index.key)}`);
+        
+        // Display important options
+        const options = describeIndexOptions(index);
+        if (options.length > 0) {
+          console.log(`     Options: ${options.join(', ')}`);
+        }
+      });
+    }
+  } catch (error) {
+    logger.error(`Error listing indexes: ${error.message}`);
+  }
+};
+
+// Server defaults of options reported on every text and 2d index
+const TEXT_INDEX_DEFAULTS = { default_language: 'english', language_override: 'language' };
+const GEO_2D_DEFAULTS = { bits: 26, min: -180, max: 180 };
+
+// Key pattern of a text index as the server stores it: text fields move to "weights" and are
+// replaced by _fts/_ftsx ({ title: 'text' } becomes { _fts: 'text', _ftsx: 1 } with weights { title: 1 })
+const normalizeTextIndex = (index) => {
+  const entries = Object.entries(index.key || {});
+  if ('_fts' in (index.key || {}) || !entries.some(([, type]) => type === 'text')) return index;
+
+  const key = {};
+  const weights = { ...(index.weights || {}) };
+  for (const [field, type] of entries) {
+    if (type !== 'text') {
+      key[field] = type;
+      continue;
+    }
+    if (weights[field] === undefined) weights[field] = 1;
+    if (!('_fts' in key)) Object.assign(key, { _fts: 'text', _ftsx: 1 });
+  }
+  return { ...index, key, weights };
+};
+
+// Collation settings the server fills in when a spec leaves them out (ICU defaults)
+const COLLATION_DEFAULTS = {
+  strength: 3,
+  caseLevel: false,
+  caseFirst: 'off',
+  numericOrdering: false,
+  alternate: 'non-ignorable',
+  maxVariable: 'punct',
+  normalization: false,
+  backwards: false
+};
+
+// Collations match when every setting matches once both are filled in with the defaults
+// (servers report all settings, hand-written specs usually only a few)
+const areCollationsEquivalent = (collationA, collationB) => {
+  const isSimple = (collation) => !collation || collation.locale === 'simple';
+  if (isSimple(collationA) || isSimple(collationB)) return isSimple(collationA) && isSimple(collationB);
+  const a = { ...COLLATION_DEFAULTS, ...collationA };
+  const b = { ...COLLATION_DEFAULTS, ...collationB };
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter(setting => setting !== 'version')
+    .every(setting => stableStringify(a[setting]) === stableStringify(b[setting]));
+};
+
+// Helper function to check if two indexes are equivalent
+// Key patterns must match in order; filters and other documents match regardless of key order
+const areIndexesEquivalent = (indexA, indexB) => {
+  const a = normalizeTextIndex(indexA);
+  const b = normalizeTextIndex(indexB);
+
+  // Compare keys (most important part)
+  if (JSON.stringify(a.key) !== JSON.stringify(b.key)) return false;
+
+  // Compare critical options (a missing flag means false)
+  if (['unique', 'sparse', 'hidden'].some(flag => Boolean(a[flag]) !== Boolean(b[flag]))) return false;
+  if (a.expireAfterSeconds !== b.expireAfterSeconds) return false;
+
+  const documents = ['partialFilterExpression', 'wildcardProjection', 'storageEngine'];
+  if (documents.some(option => stableStringify(a[option] || {}) !== stableStringify(b[option] || {}))) return false;
+  if (!areCollationsEquivalent(a.collation, b.collation)) return false;
+
+  // Options of special index types; versions only count when both sides report one
+  const keyTypes = Object.values(a.key || {});
+  const sameWithDefaults = (defaults) => Object.entries(defaults).every(([option, value]) =>
+    (a[option] === undefined ? value : a[option]) === (b[option] === undefined ? value : b[option])
+  );
+  const sameVersion = (option) => a[option] === undefined || b[option] === undefined || a[option] === b[option];
+
+  if (keyTypes.includes('text')) {
+    if (stableStringify(a.weights || {}) !== stableStringify(b.weights || {})) return false;
+    if (!sameWithDefaults(TEXT_INDEX_DEFAULTS) || !sameVersion('textIndexVersion')) return false;
+  }
+  if (keyTypes.includes('2d') && !sameWithDefaults(GEO_2D_DEFAULTS)) return false;
+  if (keyTypes.includes('2dsphere') && !sameVersion('2dsphereIndexVersion')) return false;
+
+  return true;
+};
+
+// Short descriptions of the options of an index for listings and reports
+const describeIndexOptions = (index) => {
+  const options = [];
+  if (index.unique) options.push('unique');
+  if (index.sparse) options.push('sparse');
+  if (index.hidden) options.push('hidden');
+  if (index.expireAfterSeconds !== undefined) options.push(`TTL: ${index.expireAfterSeconds}s`);
+  if (index.partialFilterExpression) options.push(`filter: ${JSON.stringify(index.partialFilterExpression)}`);
+  if (index.collation) {
+    const { locale, strength } = index.collation;
+    options.push(`collation: ${locale}${strength !== undefined ? `/strength ${strength}` : ''}`);
+  }
+  if (index.weights) options.push(`weights: ${JSON.stringify(index.weights)}`);
+  ['default_language', 'language_override'].forEach(option => {
+    if (index[option] !== undefined && index[option] !== TEXT_INDEX_DEFAULTS[option]) {
+      options.push(`${option}: ${index[option]}`);
+    }
+  });
+  if (index.textIndexVersion !== undefined) options.push(`textIndexVersion: ${index.textIndexVersion}`);
+  if (index['2dsphereIndexVersion'] !== undefined) options.push(`2dsphereIndexVersion: ${index['2dsphereIndexVersion']}`);
+  ['bits', 'min', 'max'].forEach(option => {
+    if (index[option] !== undefined) options.push(`${option}: ${index[option]}`);
+  });
+  if (index.wildcardProjection) options.push(`wildcardProjection: ${JSON.stringify(index.wildcardProjection)}`);
+  if (index.storageEngine) options.push(`storageEngine: ${JSON.stringify(index.storageEngine)}`);
+  return options;
+};
+
+// Compare source and target indexes and collection options without printing or prompting
+// Source collections and indexes are mapped to their target names first ("mapping"), so collectionName
+// and the indexes in sourceIndexes / missing are as they should exist on the target
+// Returns { sourceDbName, targetDbName, collections: [{ collectionName, sourceCollectionName, collectionMissing,
+// sourceIndexes, targetIndexes, missing, optionDrift }], missingIndexes, count, optionDriftCount }
+const buildComparison = async (sourceDb, targetDb, collectionNames) => {
+  // Get collections (and views) from source
+  const sourceCollections = await getCollectionInfos(sourceDb, collectionNames);
+  logger.info(`Found ${sourceCollections.length} collections in source database`);
+  
+  // Get target collections (renamed collections may not match the filters, so all of them)
+  const targetInfos = await withRetry(() => targetDb.listCollections().toArray(), 'Listing collections');
+  const targetCollections = new Map(targetInfos.map(({ name, type, options }) =>
+    [name, { name, type: type || 'collection', options: options || {} }]
+  ));
+  
+  const comparison = {
+    sourceDbName: sourceDb.databaseName,
+    targetDbName: targetDb.databaseName,
+    collections: [],
+    // Missing indexes by collection name
+    missingIndexes: {},
+    count: 0,
+    // Collections whose options differ between source and target
+    optionDriftCount: 0
+  };
+  
+  // Process each collection
+  for (const sourceInfo of sourceCollections) {
+    const sourceCollectionName = sourceInfo.name;
+    const collectionName = mapCollectionName(sourceCollectionName);
+    logger.info(`Comparing indexes for collection ${describeMapping(sourceCollectionName)}...`);
+    
+    // Views have no indexes; only their definition is compared
+    const targetInfo = targetCollections.get(collectionName);
+    const collectionMissing = !targetInfo;
+    // Only indexes that pass the index filters are compared; any target index can satisfy one
+    const sourceIndexes = sourceInfo.type === 'view'
+      ? []
+      : selectIndexes(sourceCollectionName, await getIndexes(sourceDb, sourceCollectionName))
+        .map(index => mapIndexSpec(sourceCollectionName, index));
+    const allTargetIndexes = collectionMissing || targetInfo.type === 'view' ? [] : await getIndexes(targetDb, collectionName);
+    const targetIndexes = selectIndexes(sourceCollectionName, allTargetIndexes);
+    
+    // Skip _id_ index as it's automatically created
+    const missing = sourceIndexes.filter(sourceIndex =>
+      sourceIndex.name !== '_id_' &&
+      !allTargetIndexes.some(targetIndex => areIndexesEquivalent(sourceIndex, targetIndex))
+    );
+    const optionDrift = collectionMissing ? [] : diffCollectionOptions(mapCollectionInfo(sourceInfo), targetInfo);
+    
+    comparison.collections.push({
+      collectionName, sourceCollectionName, collectionMissing, sourceIndexes, targetIndexes, missing, optionDrift
+    });
+    if (collectionMissing || missing.length > 0) {
+      comparison.missingIndexes[collectionName] = { collectionMissing, indexes: missing };
+      comparison.count += missing.length;
+    }
+    if (optionDrift.length > 0) comparison.optionDriftCount++;
+  }
+  
+  return comparison;
+};
+
+// Report lines for collections whose options differ between source and target
+const formatOptionDrift = (comparison) => {
+  const lines = [];
+  for (const { collectionName, optionDrift } of comparison.collections) {
+    if (optionDrift.length === 0) continue;
+    lines.push('', `Collection: ${collectionName}`);
+    optionDrift.forEach(({ option, source, target }) => {
+      lines.push(`  ${option}: source=${JSON.stringify(source) ?? 'none'} target=${JSON.stringify(target) ?? 'none'}`);
+    });
+  }
+  if (lines.length > 0) {
+    lines.unshift('', '========== Collection Option Drift ==========',
+      `Found ${comparison.optionDriftCount} collections with different options`);
+  }
+  return lines;
+};
+
+// Render a comparison as the human-readable missing-indexes report
+const formatComparisonTable = (comparison) => {
+  const lines = [
+    '',
+    '========== Missing Indexes Report ==========',
+    `Found ${comparison.count} indexes missing in target database`
+  ];
+  
+  if (comparison.count === 0) {
+    lines.push('All source indexes exist in target database!');
+    return [...lines, ...formatOptionDrift(comparison)].join('\n');
+  }
+  
+  for (const [collectionName, data] of Object.entries(comparison.missingIndexes)) {
+    if (data.indexes.length === 0) continue;
+    
+    lines.push('', `Collection: ${collectionName}`);
+    if (data.collectionMissing) {
+      lines.push('  [Collection does not exist in target database]');
+    }
+    
+    lines.push('  Missing indexes:');
+    data.indexes.forEach((index, i) => {
+      lines.push(`  ${i + 1}. Name: ${index.name}`);
+      lines.push(`     Key: ${JSON.stringify(index.key)}`);
+      
+      // Display important options
+      const options = describeIndexOptions(index);
+      if (options.length > 0) {
+        lines.push(`     Options: ${options.join(', ')}`);
+      }
+    });
+  }
+  
+  return [...lines, ...formatOptionDrift(comparison)].join('\n');
+};
+
+// Plain data view of a comparison used by the json and yaml formats
+const getComparisonData = (comparison) => ({
+  source: comparison.sourceDbName,
+  target: comparison.targetDbName,
+  missingCount: comparison.count,
+  optionDriftCount: comparison.optionDriftCount,
+  collections: comparison.collections.map(({ collectionName, sourceCollectionName, collectionMissing, missing, optionDrift }) => ({
+    collectionName,
+    sourceCollectionName,
+    collectionMissing,
+    missing,
+    optionDrift
+  }))
+});
+
+// One line per index, as compared in the diff view (server-managed fields removed)
+const formatIndexLine = ({ v, ns, ...index }) => JSON.stringify(index);
+
+// Render a comparison as a unified diff of source (-) and target (+) index definitions
+const formatComparisonDiff = (comparison) => {
+  const sections = [];
+  
+  for (const {
+    collectionName, sourceCollectionName, collectionMissing, sourceIndexes, targetIndexes, optionDrift
+  } of comparison.collections) {
+    const sourceByName = new Map(sourceIndexes.map(index => [index.name, formatIndexLine(index)]));
+    const targetByName = new Map(targetIndexes.map(index => [index.name, formatIndexLine(index)]));
+    const names = [...new Set([...sourceByName.keys(), ...targetByName.keys()])].sort();
+    
+    const lines = [];
+    let changed = false;
+    // Differing collection options come first, one line per option
+    for (const { option, source, target } of optionDrift) {
+      changed = true;
+      if (source !== undefined) lines.push(`-${JSON.stringify({ [option]: source })}`);
+      if (target !== undefined) lines.push(`+${JSON.stringify({ [option]: target })}`);
+    }
+    for (const name of names) {
+      const sourceLine = sourceByName.get(name);
+      const targetLine = targetByName.get(name);
+      if (sourceLine === targetLine) {
+        lines.push(` ${sourceLine}`);
+        continue;
+      }
+      changed = true;
+      if (sourceLine) lines.push(`-${sourceLine}`);
+      if (targetLine) lines.push(`+${targetLine}`);
+    }
+    if (!changed) continue;
+    
+    const removed = lines.filter(line => line[0] !== '+').length;
+    const added = lines.filter(line => line[0] !== '-').length;
+    sections.push([
+      `--- source/${comparison.sourceDbName}/${sourceCollectionName}`,
+      `+++ target/${comparison.targetDbName}/${collectionName}${collectionMissing ? ' (collection missing)' : ''}`,
+      `@@ -${removed === 0 ? 0 : 1},${removed} +${added === 0 ? 0 : 1},${added} @@`,
+      ...lines
+    ].join('\n'));
+  }
+  
+  return sections.length > 0 ? sections.join('\n') : '# No differences between source and target indexes or collection options';
+};
+
+// Render a comparison in one of the supported output formats
+const formatComparison = (comparison, format = 'table') => {
+  switch (format) {
+    case 'table':
+    case 'text':
+      return formatComparisonTable(comparison);
+    case 'json':
+      return JSON.stringify(getComparisonData(comparison), null, 2);
+    case 'yaml':
+      return YAML.stringify(getComparisonData(comparison), { lineWidth: 0 }).trimEnd();
+    case 'diff':
+      return formatComparisonDiff(comparison);
+    default:
+      throw new Error(`Unknown compare format "${format}" (use table, json, yaml or diff)`);
+  }
+};
+
+// Ask a yes/no question on the terminal
+const confirm = (question) => {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
+  return new Promise(resolve => {
+    rl.question(`\n${question} (y/n): `, answer => {
+      resolve(answer.toLowerCase() === 'y');
+      rl.close();
+    });
+  });
+};
+
+// Compare indexes between source and target databases
+// Options:
+//   source - source connection settings (defaults to config.source; only dbName is used)
+//   target - target connection settings (defaults to config.target; only dbName is used)
+//   format - table (default), json, yaml or diff
+//   output - write the formatted comparison to this file instead of stdout
+//   print  - print the comparison (default true)
+//   save   - 'prompt' to ask, true to save missing indexes to the configuration file,
+//            false (default) to leave it unchanged
+//   report - target section of a run report to record drift in
+const compareIndexes = async (sourceClient, targetClient, options = {}) => {
+  const {
+    source = config.source, target = config.target, format = 'table', output, print = true, save = false, report = null
+  } = options;
+  try {
+    // Without a dbName the driver uses the database from the connection string
+    const sourceDb = sourceClient.db(source ? source.dbName : undefined);
+    const targetDb = targetClient.db(target ? target.dbName : undefined);
+    
+    const comparison = await buildComparison(sourceDb, targetDb, getTargetCollections(target));
+    
+    for (const [collectionName, data] of Object.entries(comparison.missingIndexes)) {
+      recordDrift(report, collectionName, 'missing', data.indexes);
+    }
+    for (const { collectionName, optionDrift } of comparison.collections) {
+      recordDrift(report, collectionName, 'options', optionDrift.map(({ option }) => ({ name: option })));
+    }
+    
+    // Display results
+    const formatted = formatComparison(comparison, format);
+    if (output) {
+      fs.writeFileSync(output, `${formatted}\n`, 'utf8');
+      logger.info(`Comparison (${format}) written to ${output}`);
+    } else if (print) {
+      console.log(formatted);
+    }
+    
+    const saveQuestion = `Do you want to save these missing indexes to ${path.basename(configPath)} for future creation?`;
+    if (comparison.count > 0 && (save === true || (save === 'prompt' && await confirm(saveQuestion)))) {
+      if (!config.customIndexes) config.customIndexes = [];
+      
+      // Add missing indexes to config
+      for (const [collectionName, data] of Object.entries(comparison.missingIndexes)) {
+        for (const index of data.indexes) {
+          config.customIndexes.push({
+            collectionName,
+            index
+          });
+        }
+      }
+      
+      // Save updated config
+      saveCustomIndexes();
+      
+      logger.success('Missing indexes added to configuration file');
+    }
+    
+    return comparison;
+  } catch (error) {
+    logger.error(`Error comparing indexes: ${error.message}`);
+    if (report) report.error = error.message;
+    return { collections: [], missingIndexes: {}, count: 0, optionDriftCount: 0, error: error.message };
+  }
+};
+
+// Check whether an index key is a leading prefix of another key (same fields, order and direction)
+// Only ascending/descending fields count; text, hashed and geo keys are never prefixes
+const isKeyPrefix = (prefixKey, key) => {
+  const prefix = Object.entries(prefixKey);
+  const entries = Object.entries(key);
+  return prefix.length < entries.length && prefix.every(([field, direction], i) =>
+    typeof direction === 'number' && entries[i][0] === field && entries[i][1] === direction
+  );
+};
+
+// Flag unused, redundant (prefix of another index) and duplicate (same key pattern) indexes of a collection
+const findIndexIssues = (indexes, usage) => {
+  const issues = new Map(indexes.map(index => [index.name, []]));
+
+  indexes.forEach((index, i) => {
+    if (index.name === '_id_') return;
+    const flags = issues.get(index.name);
+
+    if (usage.has(index.name) && usage.get(index.name).ops === 0) {
+      flags.push({ type: 'unused' });
+    }
+
+    const duplicate = indexes.slice(0, i).find(other => JSON.stringify(other.key) === JSON.stringify(index.key));
+    if (duplicate) flags.push({ type: 'duplicate', of: duplicate.name });
+
+    // A prefix index only adds value if it enforces something or covers documents the longer one doesn't
+    const coveredBy = !index.unique && index.expireAfterSeconds === undefined && !index.partialFilterExpression &&
+      indexes.find(other =>
+        isKeyPrefix(index.key, other.key) &&
+        !other.partialFilterExpression &&
+        (!other.sparse || index.sparse) &&
+        stableStringify(other.collation) === stableStringify(index.collation)
+      );
+    if (coveredBy) flags.push({ type: 'redundant', coveredBy: coveredBy.name });
+  });
+
+  return issues;
+};
+
+// Read access counts ($indexStats) and sizes (collStats) of the indexes of each collection
+// Returns { dbName, generatedAt, collections: [{ collectionName, indexes }], summary }
+const analyzeIndexes = async (db, collectionNames) => {
+  const collections = await getCollections(db, collectionNames);
+  const analysis = {
+    dbName: db.databaseName,
+    generatedAt: new Date().toISOString(),
+    collections: [],
+    summary: { indexes: 0, unused: 0, redundant: 0, duplicate: 0, excludable: 0 }
+  };
+
+  for (const collectionName of collections) {
+    logger.info(`Analyzing indexes for collection ${collectionName}...`);
+    const indexes = await getIndexes(db, collectionName);
+
+    // Usage statistics need the indexStats privilege; without them no index is flagged as unused
+    const usage = new Map();
+    try {
+      const stats = await db.collection(collectionName).aggregate([{ $indexStats: {} }]).toArray();
+      stats.forEach(stat => usage.set(stat.name, { ops: Number(stat.accesses.ops), since: stat.accesses.since }));
+    } catch (error) {
+      logger.warning(`Could not read $indexStats for collection ${collectionName}: ${error.message}`);
+    }
+
+    let indexSizes = {};
+    try {
+      indexSizes = (await db.command({ collStats: collectionName })).indexSizes || {};
+    } catch (error) {
+      logger.warning(`Could not read collStats for collection ${collectionName}: ${error.message}`);
+    }
+
+    const issues = findIndexIssues(indexes, usage);
+    const collectionAnalysis = { collectionName, indexes: [] };
+    for (const index of indexes) {
+      const flags = issues.get(index.name);
+      // Unique and TTL indexes do work even when no query uses them, so they are never excluded
+      const excludable = flags.length > 0 && !index.unique && index.expireAfterSeconds === undefined;
+      collectionAnalysis.indexes.push({
+        name: index.name,
+        key: index.key,
+        unique: Boolean(index.unique),
+        ops: usage.has(index.name) ? usage.get(index.name).ops : null,
+        since: usage.has(index.name) ? usage.get(index.name).since : null,
+        sizeBytes: indexSizes[index.name] !== undefined ? Number(indexSizes[index.name]) : null,
+        flags,
+        excludable
+      });
+
+      analysis.summary.indexes++;
+      flags.forEach(flag => analysis.summary[flag.type]++);
+      if (excludable) analysis.summary.excludable++;
+    }
+    analysis.collections.push(collectionAnalysis);
+  }
+
+  return analysis;
+};
+
+// Human-readable size of a number of bytes
+const formatBytes = (bytes) => {
+  if (bytes === null) return '-';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+};
+
+// Render an index analysis as text (one table per collection) or json
+const formatAnalysis = (analysis, format = 'text') => {
+  if (format === 'json') return JSON.stringify(analysis, null, 2);
+  if (format !== 'text' && format !== 'table') {
+    throw new Error(`Unknown analyze format "${format}" (use text or json)`);
+  }
+
+  const describeFlag = (flag) => {
+    if (flag.type === 'duplicate') return `duplicate of ${flag.of}`;
+    if (flag.type === 'redundant') return `redundant (prefix of ${flag.coveredBy})`;
+    return flag.type;
+  };
+
+  const lines = ['', '========== Index Usage Analysis ==========', `Database: ${analysis.dbName}`];
+  for (const { collectionName, indexes } of analysis.collections) {
+    const headers = ['Index', 'Key', 'Ops', 'Since', 'Size', 'Flags'];
+    const rows = indexes.map(index => [
+      index.name,
+      JSON.stringify(index.key),
+      index.ops === null ? '-' : String(index.ops),
+      index.since ? new Date(index.since).toISOString().slice(0, 10) : '-',
+      formatBytes(index.sizeBytes),
+      index.flags.map(describeFlag).join(', ') + (index.flags.length > 0 && !index.excludable ? ' (kept: unique/TTL)' : '')
+    ]);
+    const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => row[i].length)));
+    const formatRow = (row) => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+    lines.push('', `Collection: ${collectionName}`, formatRow(headers), widths.map(width => '-'.repeat(width)).join('  '));
+    rows.forEach(row => lines.push(formatRow(row)));
+  }
+
+  const { summary } = analysis;
+  lines.push(
+    '',
+    '========== Analysis Summary ==========',
+    `Indexes:    ${summary.indexes}`,
+    `Unused:     ${summary.unused} (no operations since the server started)`,
+    `Redundant:  ${summary.redundant}`,
+    `Duplicate:  ${summary.duplicate}`,
+    `Excludable: ${summary.excludable} (use --save-exclusions to skip them in migrate)`
+  );
+  return lines.join('\n');
+};
+
+// Add the excludable indexes of an analysis to "excludeIndexes" in the configuration file
+const saveExclusions = (analysis) => {
+  const exclusions = analysis.collections.flatMap(({ collectionName, indexes }) =>
+    indexes.filter(index => index.excludable).map(index => `${collectionName}.${index.name}`)
+  );
+  config.excludeIndexes = [...new Set([...(config.excludeIndexes || []), ...exclusions])];
+  saveConfigValue('excludeIndexes', config.excludeIndexes);
+  logger.success(`Saved ${exclusions.length} indexes to "excludeIndexes" in ${path.basename(configPath)}`);
+  return exclusions;
+};
+
+// Query operators that match single values; anything else ($gt, $ne, $regex, ...) is a range
+const EQUALITY_OPERATORS = ['$eq', '$in'];
+
+// Sort the fields of a query filter into equality and range conditions
+// $and is followed; $or, $expr, $text and other top-level operators can't be served by one compound index
+const classifyFilterFields = (filter, fields = { equality: [], range: [] }) => {
+  for (const [field, condition] of Object.entries(isPlainDocument(filter) ? filter : {})) {
+    if (field === '$and' && Array.isArray(condition)) {
+      condition.forEach(part => classifyFilterFields(part, fields));
+      continue;
+    }
+    if (field.startsWith('$')) continue;
+
+    const isRegex = condition instanceof RegExp || (condition && condition._bsontype === 'BSONRegExp');
+    const operators = isPlainDocument(condition) ? Object.keys(condition).filter(key => key.startsWith('$')) : [];
+    if (!isRegex && operators.every(operator => EQUALITY_OPERATORS.includes(operator))) {
+      if (!fields.equality.includes(field)) fields.equality.push(field);
+      fields.range = fields.range.filter(rangeField => rangeField !== field);
+    } else if (!fields.equality.includes(field) && !fields.range.includes(field)) {
+      fields.range.push(field);
+    }
+  }
+  return fields;
+};
+
+// Filter and sort of a logged or profiled command (find, aggregate, count, distinct, findAndModify,
+// update and delete statements), or null for commands that don't query a collection
+const getCommandQuery = (command) => {
+  if (!isPlainDocument(command)) return null;
+  if (command.find !== undefined) return { filter: command.filter, sort: command.sort };
+  if (command.aggregate !== undefined && Array.isArray(command.pipeline)) {
+    // Only the leading $match and $sort stages can use an index
+    const matches = [];
+    let sort = null;
+    for (const stage of command.pipeline) {
+      if (stage.$match && !sort) matches.push(stage.$match);
+      else if (stage.$sort && !sort) sort = stage.$sort;
+      else break;
+    }
+    return { filter: { $and: matches }, sort };
+  }
+  if (command.findAndModify !== undefined || command.findandmodify !== undefined) {
+    return { filter: command.query, sort: command.sort };
+  }
+  if (command.count !== undefined || command.distinct !== undefined) return { filter: command.query };
+  if (command.q !== undefined) return { filter: command.q };
+  return null;
+};
+
+// Read slow operations from the source's system.profile (profiling must be enabled on the source)
+// Returns entries of the form { collectionName, command, millis, docsExamined, planSummary }
+const readProfilerEntries = async (db, minMillis = 0) => {
+  const entries = await withRetry(
+    () => db.collection('system.profile').find({ millis: { $gte: minMillis } }).toArray(),
+    'Reading system.profile'
+  );
+  return entries
+    .filter(entry => entry.ns && entry.ns.startsWith(`${db.databaseName}.`))
+    .map(entry => ({
+      collectionName: entry.ns.slice(db.databaseName.length + 1),
+      command: entry.command,
+      millis: entry.millis,
+      docsExamined: entry.docsExamined,
+      planSummary: entry.planSummary
+    }));
+};
+
+// Read "Slow query" entries of a database from a mongod log file in JSON format (MongoDB 4.4+)
+const readLogEntries = async (filePath, dbName, minMillis = 0) => {
+  const entries = [];
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.includes('"Slow query"')) continue;
+    let entry;
+    try {
+      entry = BSON.EJSON.parse(line, { relaxed: true });
+    } catch (error) {
+      continue;
+    }
+    const { attr = {} } = entry;
+    if (entry.msg !== 'Slow query' || !attr.ns || !attr.ns.startsWith(`${dbName}.`)) continue;
+    if ((attr.durationMillis || 0) < minMillis) continue;
+    entries.push({
+      collectionName: attr.ns.slice(dbName.length + 1),
+      command: attr.command,
+      millis: attr.durationMillis,
+      docsExamined: attr.docsExamined,
+      planSummary: attr.planSummary
+    });
+  }
+  logger.info(`Read ${entries.length} slow queries of ${dbName} from ${filePath}`);
+  return entries;
+};
+
+// Group slow queries by shape and propose one compound index per shape, in equality-sort-range order
+// (equality fields by name, then the sort fields in their order and direction, then range fields)
+// Suggestions served by an existing index (equivalent, same key or a longer key starting with it) or by
+// another suggestion are left out. Returns [{ collectionName, key, name, queries, totalMillis, collscans, example }]
+const buildIndexSuggestions = async (db, entries) => {
+  const shapes = new Map();
+  for (const entry of entries) {
+    if (!isCollectionSelected(entry.collectionName) ||
+        (config.collections && config.collections.length > 0 && !config.collections.includes(entry.collectionName))) {
+      continue;
+    }
+    const query = getCommandQuery(entry.command);
+    if (!query) continue;
+
+    const { equality, range } = classifyFilterFields(query.filter);
+    const sort = Object.entries(isPlainDocument(query.sort) ? query.sort : {})
+      .filter(([field, direction]) => [1, -1].includes(direction) && !equality.includes(field));
+    const key = {};
+    [...equality].sort().forEach(field => { key[field] = 1; });
+    sort.forEach(([field, direction]) => { key[field] = direction; });
+    [...range].sort().filter(field => key[field] === undefined).forEach(field => { key[field] = 1; });
+    if (Object.keys(key).length === 0) continue;
+
+    const shapeId = `${entry.collectionName} ${JSON.stringify(key)}`;
+    if (!shapes.has(shapeId)) {
+      shapes.set(shapeId, {
+        collectionName: entry.collectionName,
+        key,
+        name: getDefaultIndexName(key),
+        queries: 0,
+        totalMillis: 0,
+        collscans: 0,
+        example: { filter: query.filter, sort: query.sort || null }
+      });
+    }
+    const shape = shapes.get(shapeId);
+    shape.queries++;
+    shape.totalMillis += Number(entry.millis || 0);
+    if (String(entry.planSummary || '').includes('COLLSCAN')) shape.collscans++;
+  }
+
+  const existingIndexes = new Map();
+  const suggestions = [...shapes.values()].sort((a, b) => b.totalMillis - a.totalMillis);
+  const serves = (index, suggestion) => !index.hidden && (
+    areIndexesEquivalent(suggestion, index) ||
+    (!index.partialFilterExpression && !index.sparse &&
+      (JSON.stringify(index.key) === JSON.stringify(suggestion.key) || isKeyPrefix(suggestion.key, index.key)))
+  );
+
+  const kept = [];
+  for (const suggestion of suggestions) {
+    const { collectionName } = suggestion;
+    if (!existingIndexes.has(collectionName)) existingIndexes.set(collectionName, await getIndexes(db, collectionName));
+    const existing = existingIndexes.get(collectionName).find(index => serves(index, suggestion));
+    if (existing) {
+      logger.info(`Queries on ${collectionName} by ${JSON.stringify(suggestion.key)} can use the existing index ${existing.name}`);
+      continue;
+    }
+    const longer = suggestions.find(other => other !== suggestion && other.collectionName === collectionName &&
+      isKeyPrefix(suggestion.key, other.key));
+    if (longer) {
+      longer.queries += suggestion.queries;
+      longer.totalMillis += suggestion.totalMillis;
+      longer.collscans += suggestion.collscans;
+      continue;
+    }
+    kept.push(suggestion);
+  }
+  return kept.sort((a, b) => b.totalMillis - a.totalMillis);
+};
+
+// Format index suggestions as text or json
+const formatSuggestions = (suggestions, format = 'text') => {
+  if (format === 'json') return JSON.stringify(suggestions, null, 2);
+
+  const lines = ['', '========== Index Suggestions =========='];
+  if (suggestions.length === 0) {
+    lines.push('No suggestions - the slow queries found can use existing indexes (or none were found)');
+    return lines.join('\n');
+  }
+  suggestions.forEach((suggestion, i) => {
+    lines.push('', `${i + 1}. ${suggestion.collectionName} ${JSON.stringify(suggestion.key)}`);
+    lines.push(`   ${suggestion.queries} slow queries, ${suggestion.totalMillis} ms in total, ${suggestion.collscans} collection scans`);
+    lines.push(`   e.g. filter ${JSON.stringify(suggestion.example.filter || {})}${suggestion.example.sort ? ` sort ${JSON.stringify(suggestion.example.sort)}` : ''}`);
+  });
+  return lines.join('\n');
+};
+
+// Add accepted suggestions to "customIndexes" (collections and fields as named on the target, see "mapping")
+// Indexes equivalent to a custom index already configured are not added twice
+const saveSuggestions = (suggestions) => {
+  if (!config.customIndexes) config.customIndexes = [];
+  let added = 0;
+  for (const suggestion of suggestions) {
+    const collectionName = mapCollectionName(suggestion.collectionName);
+    const { key } = mapIndexSpec(suggestion.collectionName, { key: suggestion.key });
+    const index = { key, name: getDefaultIndexName(key) };
+    const configured = config.customIndexes.some(customIndex =>
+      customIndex.collectionName === collectionName && areIndexesEquivalent(customIndex.index, index)
+    );
+    if (configured) continue;
+    config.customIndexes.push({ collectionName, index });
+    added++;
+  }
+  if (added === 0) {
+    logger.info('The suggested indexes are already in "customIndexes"');
+    return 0;
+  }
+  saveCustomIndexes();
+  logger.success(`Saved ${added} suggested indexes to "customIndexes" in ${path.basename(configPath)} - build them with "create"`);
+  return added;
+};
+
+// Ask on the terminal which suggestions to keep
+const chooseSuggestions = async (suggestions) => {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
+  const accepted = [];
+  try {
+    for (const [i, suggestion] of suggestions.entries()) {
+      const answer = await new Promise(resolve => {
+        rl.question(`Add suggestion ${i + 1} (${suggestion.collectionName} ${JSON.stringify(suggestion.key)}) to customIndexes? (y/n/q): `, resolve);
+      });
+      if (answer.toLowerCase() === 'q') break;
+      if (answer.toLowerCase() === 'y') accepted.push(suggestion);
+    }
+  } finally {
+    rl.close();
+  }
+  return accepted;
+};
+
+// Check whether an index is protected from being dropped
+const isProtectedIndex = (collectionName, indexName) => {
+  if (indexName === '_id_') return true;
+  const protectedIndexes = config.protectedIndexes || [];
+  return protectedIndexes.includes(indexName) ||
+    protectedIndexes.includes(`${collectionName}.${indexName}`);
+};
+
+// Drop an index from the target collection unless it is protected
+const dropIndex = async (db, collectionName, indexName, targetReport = null) => {
+  if (isProtectedIndex(collectionName, indexName)) {
+    logger.warning(`Index ${indexName} on collection ${collectionName} is protected - not dropping`);
+    recordIndexResult(targetReport, collectionName, { name: indexName }, 'protected');
+    return false;
+  }
+
+  const startedAt = Date.now();
+  try {
+    await db.collection(collectionName).dropIndex(indexName);
+    logger.success(`Dropped index ${indexName} from collection ${collectionName}`);
+    recordIndexResult(targetReport, collectionName, { name: indexName }, 'dropped', { durationMs: Date.now() - startedAt });
+    return true;
+  } catch (error) {
+    logger.error(`Failed to drop index ${indexName} from collection ${collectionName}: ${error.message}`);
+    recordIndexResult(targetReport, collectionName, { name: indexName }, 'failed', { durationMs: Date.now() - startedAt, error });
+    return false;
+  }
+};
+
+// Classify source and target indexes as missing, extra or conflicting
+const classifyIndexes = (sourceIndexes, targetIndexes) => {
+  const missing = [];
+  const conflicting = [];
+  const matchedTargets = new Set();
+
+  for (const sourceIndex of sourceIndexes) {
+    if (sourceIndex.name === '_id_') continue;
+
+    const equivalent = targetIndexes.find(targetIndex => areIndexesEquivalent(sourceIndex, targetIndex));
+    if (equivalent) {
+      matchedTargets.add(equivalent);
+      continue;
+    }
+
+    // A target index with the same name or key pattern blocks creating the source index
+    const clashing = targetIndexes.find(targetIndex =>
+      !matchedTargets.has(targetIndex) && (
+        targetIndex.name === sourceIndex.name ||
+        JSON.stringify(targetIndex.key) === JSON.stringify(sourceIndex.key)
+      )
+    );
+    if (clashing) {
+      matchedTargets.add(clashing);
+      conflicting.push({ source: sourceIndex, target: clashing });
+    } else {
+      missing.push(sourceIndex);
+    }
+  }
+
+  const extra = targetIndexes.filter(targetIndex =>
+    targetIndex.name !== '_id_' && !matchedTargets.has(targetIndex)
+  );
+
+  return { missing, extra, conflicting };
+};
+
+// Create an index for sync, hidden and staged until "unhide" with options.hidden
+const createSyncedIndex = async (db, collectionName, indexSpec, options) => {
+  const spec = options.hidden ? { ...indexSpec, hidden: true } : indexSpec;
+  const status = await createIndex(db, collectionName, spec, options.report);
+  if (status === 'created' && options.hidden) await stageCreatedIndex(db, collectionName, spec);
+  return status;
+};
+
+// Synchronize target indexes so they match the source
+// Options: dryRun, dropExtra, rebuildConflicting, hidden, report (target section of a run report)
+const syncIndexes = async (sourceDb, targetDb, options = {}) => {
+  const collections = await getCollections(sourceDb, getTargetCollections(config.target));
+  logger.info(`Found ${collections.length} collections to synchronize`);
+
+  const totals = { missing: 0, extra: 0, conflicting: 0 };
+
+  console.log('\n========== Index Sync Report ==========');
+
+  for (const sourceCollectionName of collections) {
+    // Collection and index definitions follow "mapping", as in migrate and compare
+    const collectionName = mapCollectionName(sourceCollectionName);
+    try {
+      // Indexes rejected by the index filters (which name source collections) are neither created nor dropped
+      const sourceIndexes = selectIndexes(sourceCollectionName, await getIndexes(sourceDb, sourceCollectionName))
+        .map(index => mapIndexSpec(sourceCollectionName, index));
+      const collectionExists = await targetDb.listCollections({ name: collectionName }).hasNext();
+      const targetIndexes = collectionExists
+        ? await withStagedAsVisible(targetDb, collectionName,
+          selectIndexes(sourceCollectionName, await getIndexes(targetDb, collectionName)))
+        : [];
+
+      const { missing, extra, conflicting } = classifyIndexes(sourceIndexes, targetIndexes);
+      totals.missing += missing.length;
+      totals.extra += extra.length;
+      totals.conflicting += conflicting.length;
+
+      if (missing.length === 0 && extra.length === 0 && conflicting.length === 0) continue;
+
+      console.log(`\nCollection: ${describeMapping(sourceCollectionName)}`);
+      if (!collectionExists) console.log('  [Collection does not exist in target database]');
+      missing.forEach(index => {
+        console.log(`  missing     ${index.name} ${JSON.stringify(index.key)}`);
+      });
+      extra.forEach(index => {
+        const note = isProtectedIndex(collectionName, index.name) ? ' (protected)' : '';
+        console.log(`  extra       ${index.name} ${JSON.stringify(index.key)}${note}`);
+      });
+      conflicting.forEach(({ source, target }) => {
+        console.log(`  conflicting ${source.name} source=${JSON.stringify(source)} target=${JSON.stringify(target)}`);
+      });
+
+      const { report } = options;
+      if (options.dryRun) {
+        recordDrift(report, collectionName, 'missing', missing);
+        recordDrift(report, collectionName, 'extra', extra);
+        recordDrift(report, collectionName, 'conflicting', conflicting.map(({ source }) => source));
+        continue;
+      }
+
+      if (!collectionExists) {
+        const sourceInfo = await getCollectionInfo(sourceDb, sourceCollectionName);
+        await ensureCollection(targetDb, collectionName, mapCollectionInfo(sourceInfo));
+      }
+
+      if (options.rebuildConflicting) {
+        for (const { source, target } of conflicting) {
+          if (await dropIndex(targetDb, collectionName, target.name, report)) {
+            await createSyncedIndex(targetDb, collectionName, source, options);
+          }
+        }
+      } else if (conflicting.length > 0) {
+        logger.warning(`${conflicting.length} conflicting indexes on ${collectionName} left unchanged (use --rebuild-conflicting)`);
+        recordDrift(report, collectionName, 'conflicting', conflicting.map(({ source }) => source));
+      }
+
+      if (options.dropExtra) {
+        for (const index of extra) {
+          await dropIndex(targetDb, collectionName, index.name, report);
+        }
+      } else if (extra.length > 0) {
+        logger.warning(`${extra.length} extra indexes on ${collectionName} left unchanged (use --drop-extra)`);
+        recordDrift(report, collectionName, 'extra', extra);
+      }
+
+      for (const index of missing) {
+        await createSyncedIndex(targetDb, collectionName, index, options);
+      }
+    } catch (error) {
+      logger.error(`Error while synchronizing indexes for collection ${describeMapping(sourceCollectionName)}: ${error.message}`);
+      if (options.report) getCollectionReport(options.report, collectionName).error = error.message;
+      // Continue with the next collection
+    }
+  }
+
+  console.log('\n========== Sync Summary ==========');
+  console.log(`Missing:     ${totals.missing}`);
+  console.log(`Extra:       ${totals.extra}`);
+  console.log(`Conflicting: ${totals.conflicting}`);
+  if (options.dryRun) console.log('Dry run - no changes were made to the target database');
+
+  return totals;
+};
+
+// Directory holding versioned index migration files
+const getMigrationsDir = () => path.resolve(path.dirname(configPath), config.migrationsDir || 'migrations');
+
+// Collection in the target database recording applied migrations
+const getMigrationsLedger = (db) => db.collection(config.migrationsCollection || '_index_migrations');
+
+// Load all migration files, ordered by their timestamp prefix
+const loadMigrations = () => {
+  const migrationsDir = getMigrationsDir();
+  if (!fs.existsSync(migrationsDir)) return [];
+
+  return fs.readdirSync(migrationsDir)
+    .filter(file => /^\d{14}_.+\.js$/.test(file))
+    .sort()
+    .map(file => {
+      const filePath = path.join(migrationsDir, file);
+      const contents = fs.readFileSync(filePath, 'utf8');
+
+      delete require.cache[require.resolve(filePath)];
+      const migration = require(filePath);
+      if (!Array.isArray(migration.up) || !Array.isArray(migration.down)) {
+        throw new Error(`Migration ${file} must export "up" and "down" arrays of index operations`);
+      }
+
+      return {
+        id: path.basename(file, '.js'),
+        file,
+        checksum: crypto.createHash('sha256').update(contents).digest('hex'),
+        up: migration.up,
+        down: migration.down
+      };
+    });
+};
+
+// Scaffold a new timestamped migration file
+const createMigrationFile = (name) => {
+  if (!name || !/^[\w-]+$/.test(name)) {
+    throw new Error('Migration name is required and may only contain letters, digits, "_" and "-"');
+  }
+
+  const timestamp = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+  const migrationsDir = getMigrationsDir();
+  const filePath = path.join(migrationsDir, `${timestamp}_${name}.js`);
+
+  fs.mkdirSync(migrationsDir, { recursive: true });
+  fs.writeFileSync(filePath, `// ${timestamp}_${name}
+// "up" is applied by migration:up, "down" reverts it in migration:down.
+// Operations:
+//   { action: "createIndex", collectionName: "users", index: { key: { email: 1 }, name: "email_1", unique: true } }
+//   { action: "dropIndex", collectionName: "users", indexName: "email_1" }
+module.exports = {
+  up: [
+  ],
+  down: [
+  ]
+};
+`, 'utf8');
+
+  logger.success(`Created migration file ${filePath}`);
+  return filePath;
+};
+
+// Apply a single migration operation, throwing if it fails
+// Operations already in effect are skipped, so a migration that failed halfway can be run again
+const applyMigrationOperation = async (db, operation) => {
+  const { action, collectionName } = operation;
+  const collectionExists = await db.listCollections({ name: collectionName }).hasNext();
+  const indexes = collectionExists ? await getIndexes(db, collectionName, true) : [];
+
+  if (action === 'createIndex') {
+    if (!collectionExists) {
+      await db.createCollection(collectionName);
+      logger.info(`Created collection ${collectionName} in target database`);
+    }
+    if (indexes.some(index => areIndexesEquivalent(index, operation.index) &&
+        (!operation.index.name || index.name === operation.index.name))) {
+      logger.info(`Index ${operation.index.name || JSON.stringify(operation.index.key)} already exists on collection ${collectionName} - skipping`);
+      return;
+    }
+    if (await createIndex(db, collectionName, operation.index) === 'failed') {
+      throw new Error(`Failed to create index on collection ${collectionName}`);
+    }
+  } else if (action === 'dropIndex') {
+    if (!indexes.some(index => index.name === operation.indexName)) {
+      logger.info(`Index ${operation.indexName} is not on collection ${collectionName} - skipping`);
+      return;
+    }
+    if (!await dropIndex(db, collectionName, operation.indexName)) {
+      throw new Error(`Failed to drop index ${operation.indexName} from collection ${collectionName}`);
+    }
+  } else {
+    throw new Error(`Unknown migration action "${action}"`);
+  }
+};
+
+// Apply all pending migrations in order
+const migrateUp = async (db) => {
+  const ledger = getMigrationsLedger(db);
+  const applied = new Map((await ledger.find({}, { projection: { _id: 1, checksum: 1 } }).toArray())
+    .map(entry => [entry._id, entry.checksum]));
+  const migrations = loadMigrations();
+
+  // Applied migrations are not re-run, so edits to their files never reach the target
+  for (const migration of migrations) {
+    if (applied.has(migration.id) && applied.get(migration.id) !== migration.checksum) {
+      logger.warning(`Migration ${migration.id} was modified after it was applied - its changes will not be re-applied`);
+    }
+  }
+
+  const pending = migrations.filter(migration => !applied.has(migration.id));
+
+  if (pending.length === 0) {
+    logger.info('No pending migrations');
+    return [];
+  }
+
+  for (const migration of pending) {
+    logger.info(`Applying migration ${migration.id}...`);
+    const startedAt = Date.now();
+
+    for (const operation of migration.up) {
+      await applyMigrationOperation(db, operation);
+    }
+
+    await ledger.insertOne({
+      _id: migration.id,
+      checksum: migration.checksum,
+      appliedAt: new Date(),
+      durationMs: Date.now() - startedAt
+    });
+    logger.success(`Applied migration ${migration.id}`);
+  }
+
+  return pending.map(migration => migration.id);
+};
+
+// Revert the most recently applied migrations
+const migrateDown = async (db, steps = 1) => {
+  const ledger = getMigrationsLedger(db);
+  const migrations = new Map(loadMigrations().map(migration => [migration.id, migration]));
+  const applied = await ledger.find().sort({ _id: -1 }).limit(steps).toArray();
+
+  if (applied.length === 0) {
+    logger.info('No applied migrations to revert');
+    return [];
+  }
+
+  for (const entry of applied) {
+    const migration = migrations.get(entry._id);
+    if (!migration) {
+      throw new Error(`Migration file for ${entry._id} not found in ${getMigrationsDir()}`);
+    }
+
+    logger.info(`Reverting migration ${migration.id}...`);
+    for (const operation of migration.down) {
+      await applyMigrationOperation(db, operation);
+    }
+
+    await ledger.deleteOne({ _id: migration.id });
+    logger.success(`Reverted migration ${migration.id}`);
+  }
+
+  return applied.map(entry => entry._id);
+};
+
+// Show applied and pending migrations
+const showMigrationStatus = async (db) => {
+  const ledger = getMigrationsLedger(db);
+  const entries = new Map((await ledger.find().toArray()).map(entry => [entry._id, entry]));
+  const migrations = loadMigrations();
+
+  console.log('\n========== Migration Status ==========');
+  console.log(`Migrations directory: ${getMigrationsDir()}`);
+
+  if (migrations.length === 0 && entries.size === 0) {
+    console.log('No migrations found');
+  }
+
+  const status = [];
+  for (const migration of migrations) {
+    const entry = entries.get(migration.id);
+    let state = 'pending';
+    if (entry) {
+      state = entry.checksum === migration.checksum ? 'applied' : 'applied (checksum changed)';
+    }
+    status.push({ id: migration.id, state, appliedAt: entry ? entry.appliedAt : null });
+    entries.delete(migration.id);
+  }
+
+  // Ledger entries whose migration file no longer exists
+  for (const entry of entries.values()) {
+    status.push({ id: entry._id, state: 'applied (file missing)', appliedAt: entry.appliedAt });
+  }
+
+  status.sort((a, b) => a.id.localeCompare(b.id)).forEach(({ id, state, appliedAt }) => {
+    const when = appliedAt ? ` at ${new Date(appliedAt).toISOString()}` : '';
+    console.log(`  ${state.padEnd(28)} ${id}${when}`);
+  });
+
+  return status;
+};
+
+// Collection in the target database recording staged (hidden) indexes
+// States: "pending-unhide" (created hidden, visible after "unhide") and "pending-drop" (hidden before "drop")
+const getStagingLedger = (db) => db.collection(config.stagingCollection || '_index_staging');
+
+// Hours an index must stay hidden before "drop" removes it (config "dropAfterHiddenHours")
+const getDropAfterHours = () => (config.dropAfterHiddenHours !== undefined ? Number(config.dropAfterHiddenHours) : 24);
+
+// Hide or unhide an existing index (MongoDB 4.4+); hidden indexes are maintained but not used by queries
+const setIndexHidden = async (db, collectionName, indexName, hidden) => {
+  await withRetry(
+    () => db.command({ collMod: collectionName, index: { name: indexName, hidden } }),
+    `${hidden ? 'Hiding' : 'Unhiding'} index ${indexName} on ${collectionName}`
+  );
+};
+
+// Record the staging state of an index
+const stageIndex = async (db, collectionName, indexName, state) => {
+  await getStagingLedger(db).updateOne(
+    { _id: `${collectionName}.${indexName}` },
+    { $set: { collectionName, indexName, state, stagedAt: new Date() } },
+    { upsert: true }
+  );
+};
+
+// Record an index that was created hidden so "unhide" can make it visible after it has been checked
+const stageCreatedIndex = async (db, collectionName, indexSpec) => {
+  const indexName = indexSpec.name || getDefaultIndexName(indexSpec.key);
+  await stageIndex(db, collectionName, indexName, 'pending-unhide');
+  logger.info(`Index ${indexName} on collection ${collectionName} is hidden - run "unhide ${collectionName} ${indexName}" once it is verified`);
+};
+
+// Treat staged indexes as visible when comparing target indexes with the source, so indexes that are
+// hidden on purpose (waiting for "unhide" or "drop") are neither rebuilt nor recreated
+const withStagedAsVisible = async (db, collectionName, indexes) => {
+  if (!indexes.some(index => index.hidden)) return indexes;
+  const staged = new Set((await getStagingLedger(db).find({ collectionName }).toArray()).map(entry => entry.indexName));
+  return indexes.map(index => (staged.has(index.name) ? { ...index, hidden: undefined } : index));
+};
+
+// Find an index by name, failing when it doesn't exist
+const findIndex = async (db, collectionName, indexName) => {
+  const index = (await getIndexes(db, collectionName, true)).find(existing => existing.name === indexName);
+  if (!index) {
+    throw new Error(`Index ${indexName} not found on collection ${collectionName}`);
+  }
+  return index;
+};
+
+// Hide an index as the first step of a staged drop
+const hideIndex = async (db, collectionName, indexName) => {
+  if (isProtectedIndex(collectionName, indexName)) {
+    throw new Error(`Index ${indexName} on collection ${collectionName} is protected and can't be staged for drop`);
+  }
+  await findIndex(db, collectionName, indexName);
+  await setIndexHidden(db, collectionName, indexName, true);
+  await stageIndex(db, collectionName, indexName, 'pending-drop');
+
+  const hours = getDropAfterHours();
+  logger.success(`Index ${indexName} on collection ${collectionName} is hidden; "drop" is allowed after ${hours} hours (until then "unhide" restores it)`);
+};
+
+// Make a hidden index visible again and forget its staging state
+const unhideIndex = async (db, collectionName, indexName) => {
+  await findIndex(db, collectionName, indexName);
+  await setIndexHidden(db, collectionName, indexName, false);
+  await getStagingLedger(db).deleteOne({ _id: `${collectionName}.${indexName}` });
+  logger.success(`Index ${indexName} on collection ${collectionName} is visible`);
+};
+
+// Unhide every index that was created hidden, after confirmation unless confirmed is set
+const unhideStagedIndexes = async (db, { confirmed = false } = {}) => {
+  const entries = await getStagingLedger(db).find({ state: 'pending-unhide' }).toArray();
+  if (entries.length === 0) {
+    logger.info('No hidden indexes waiting to be unhidden');
+    return 0;
+  }
+
+  console.log('\nIndexes created hidden:');
+  entries.forEach(({ collectionName, indexName, stagedAt }) => {
+    console.log(`  ${collectionName}.${indexName} (since ${new Date(stagedAt).toISOString()})`);
+  });
+  if (!confirmed && !(process.stdin.isTTY && await confirm(`Unhide these ${entries.length} indexes?`))) {
+    logger.warning('Nothing unhidden (confirm with --yes when not running in a terminal)');
+    return 0;
+  }
+
+  for (const { collectionName, indexName } of entries) {
+    await unhideIndex(db, collectionName, indexName);
+  }
+  return entries.length;
+};
+
+// Drop an index that has been hidden with "hide" for at least dropAfterHiddenHours
+const dropStagedIndex = async (db, collectionName, indexName, targetReport = null) => {
+  const entry = await getStagingLedger(db).findOne({ _id: `${collectionName}.${indexName}` });
+  if (!entry || entry.state !== 'pending-drop') {
+    throw new Error(`Index ${indexName} on collection ${collectionName} is not staged for drop - run "hide ${collectionName} ${indexName}" first`);
+  }
+
+  const index = await findIndex(db, collectionName, indexName);
+  if (!index.hidden) {
+    throw new Error(`Index ${indexName} on collection ${collectionName} is no longer hidden - hide it again before dropping`);
+  }
+
+  const allowedAt = new Date(new Date(entry.stagedAt).getTime() + getDropAfterHours() * 3600 * 1000);
+  if (allowedAt > new Date()) {
+    throw new Error(`Index ${indexName} on collection ${collectionName} has been hidden since ${new Date(entry.stagedAt).toISOString()} - drop is allowed from ${allowedAt.toISOString()}`);
+  }
+
+  if (await dropIndex(db, collectionName, indexName, targetReport)) {
+    await getStagingLedger(db).deleteOne({ _id: entry._id });
+  }
+};
+
+// Show indexes waiting to be unhidden or dropped
+const showStagingStatus = async (db) => {
+  const entries = await getStagingLedger(db).find().sort({ stagedAt: 1 }).toArray();
+
+  console.log('\n========== Staged Indexes ==========');
+  if (entries.length === 0) {
+    console.log('No staged indexes');
+    return entries;
+  }
+
+  const dropAfterMs = getDropAfterHours() * 3600 * 1000;
+  entries.forEach(({ collectionName, indexName, state, stagedAt }) => {
+    let next = `unhide ${collectionName} ${indexName}`;
+    if (state === 'pending-drop') {
+      const allowedAt = new Date(new Date(stagedAt).getTime() + dropAfterMs);
+      next = allowedAt > new Date() ? `drop allowed from ${allowedAt.toISOString()}` : `drop ${collectionName} ${indexName}`;
+    }
+    console.log(`  ${state.padEnd(15)} ${collectionName}.${indexName} since ${new Date(stagedAt).toISOString()} -> ${next}`);
+  });
+  return entries;
+};
+
+// Collection in the target database recording what each migrate/create run created (see "undo")
+const getRunJournal = (db) => db.collection(config.runsCollection || '_index_runs');
+
+// ID of a run: its start time and a random suffix, e.g. 20261018-093015-4f2a
+const createRunId = () =>
+  `${new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15)}-${crypto.randomBytes(2).toString('hex')}`;
+
+// Record the collections and indexes a run created on a target, taken from its target report
+// Indexes that already existed are not recorded, so "undo" never drops them
+const journalRun = async (db, report, targetReport) => {
+  const indexes = targetReport.collections.flatMap(({ collectionName, indexes: results }) => results
+    .filter(index => index.status === 'created')
+    // Unnamed custom indexes are reported by key; the server named them like getDefaultIndexName
+    .map(({ name, key }) => ({ collectionName, name: name === JSON.stringify(key) ? getDefaultIndexName(key) : name, key })));
+  const collections = targetReport.collectionsCreated;
+  if (indexes.length === 0 && collections.length === 0) return;
+
+  try {
+    await withRetry(() => getRunJournal(db).insertOne({
+      _id: report.runId,
+      command: report.command,
+      startedAt: new Date(report.startedAt),
+      finishedAt: new Date(),
+      collections,
+      indexes,
+      undoneAt: null
+    }), `Recording run ${report.runId}`);
+    logger.info(`Run ${report.runId} created ${indexes.length} indexes and ${collections.length} collections on target ${targetReport.target} - revert with "undo ${report.runId}"`);
+  } catch (error) {
+    // The indexes are built; only the ability to undo them is lost
+    logger.error(`Failed to record run ${report.runId} on target ${targetReport.target}: ${error.message}`);
+  }
+};
+
+// List the runs recorded on a target, newest first
+const listRuns = async (db) => {
+  const runs = await getRunJournal(db).find().sort({ startedAt: -1 }).toArray();
+
+  console.log('\n========== Recorded Runs ==========');
+  if (runs.length === 0) {
+    console.log('No runs recorded');
+    return runs;
+  }
+  runs.forEach(run => {
+    const undone = run.undoneAt ? ` (undone ${new Date(run.undoneAt).toISOString()})` : '';
+    console.log(`  ${run._id}  ${run.command.padEnd(7)} ${new Date(run.startedAt).toISOString()}  ${run.indexes.length} indexes, ${run.collections.length} collections${undone}`);
+  });
+  return runs;
+};
+
+// Work out what undoing a run would do with the target as it is now
+// Indexes that are gone or were changed since the run, and collections that hold documents or
+// other indexes, are left alone; collections are only considered with dropCollections
+const planUndo = async (db, run, dropCollections) => {
+  const existing = new Map();
+  const getExisting = async (collectionName) => {
+    if (!existing.has(collectionName)) existing.set(collectionName, await getIndexes(db, collectionName));
+    return existing.get(collectionName);
+  };
+
+  const indexes = [];
+  for (const { collectionName, name, key } of run.indexes) {
+    const index = (await getExisting(collectionName)).find(candidate => candidate.name === name);
+    let action = 'drop';
+    if (!index) action = 'gone';
+    else if (JSON.stringify(index.key) !== JSON.stringify(key)) action = 'changed';
+    else if (isProtectedIndex(collectionName, name)) action = 'protected';
+    indexes.push({ collectionName, name, key, action });
+  }
+
+  const collections = [];
+  for (const collectionName of dropCollections ? run.collections : []) {
+    const [info] = await db.listCollections({ name: collectionName }).toArray();
+    let action = 'drop';
+    if (!info) {
+      action = 'gone';
+    } else if (info.type !== 'view') {
+      const dropping = new Set(indexes.filter(index => index.collectionName === collectionName && index.action === 'drop').map(index => index.name));
+      const remaining = (await getExisting(collectionName)).filter(index => index.name !== '_id_' && !dropping.has(index.name));
+      if (remaining.length > 0) action = 'has-indexes';
+      else if (await db.collection(collectionName).countDocuments({}, { limit: 1 }) > 0) action = 'not-empty';
+    }
+    collections.push({ collectionName, action });
+  }
+  return { indexes, collections };
+};
+
+// Print what undoing a run drops and leaves alone
+const printUndoPlan = (run, plan) => {
+  const reasons = {
+    gone: 'no longer exists',
+    changed: 'key changed since the run',
+    protected: 'protected',
+    'has-indexes': 'has other indexes',
+    'not-empty': 'has documents'
+  };
+
+  console.log(`\n========== Undo run ${run._id} (${run.command}, ${new Date(run.startedAt).toISOString()}) ==========`);
+  plan.indexes.forEach(({ collectionName, name, key, action }) => {
+    console.log(action === 'drop'
+      ? `  drop index       ${collectionName}.${name} ${JSON.stringify(key)}`
+      : `  keep index       ${collectionName}.${name} (${reasons[action]})`);
+  });
+  plan.collections.forEach(({ collectionName, action }) => {
+    console.log(action === 'drop'
+      ? `  drop collection  ${collectionName}`
+      : `  keep collection  ${collectionName} (${reasons[action]})`);
+  });
+  if (run.collections.length > 0 && plan.collections.length === 0) {
+    console.log(`  (${run.collections.length} collections created by the run are kept; add --drop-collections to drop the empty ones)`);
+  }
+};
+
+// Drop the indexes a run created, and with dropCollections the empty collections it created
+// The plan is always printed first; nothing is dropped with dryRun, and without confirmed the
+// user is asked on a terminal (elsewhere --yes is required). A run is marked undone once nothing failed
+const undoRun = async (db, runId, { dryRun = false, confirmed = false, dropCollections = false, report = null } = {}) => {
+  const run = await getRunJournal(db).findOne({ _id: runId });
+  if (!run) {
+    throw new Error(`Run ${runId} not found - run "undo" without an ID to list the recorded runs`);
+  }
+  if (run.undoneAt) {
+    throw new Error(`Run ${runId} was already undone on ${new Date(run.undoneAt).toISOString()}`);
+  }
+
+  const plan = await planUndo(db, run, dropCollections);
+  printUndoPlan(run, plan);
+  const indexesToDrop = plan.indexes.filter(index => index.action === 'drop');
+  const collectionsToDrop = plan.collections.filter(collection => collection.action === 'drop');
+  if (dryRun) return plan;
+  if (indexesToDrop.length === 0 && collectionsToDrop.length === 0) {
+    logger.info('Nothing to undo');
+  } else if (!confirmed && !(process.stdin.isTTY && await confirm(`Drop ${indexesToDrop.length} indexes and ${collectionsToDrop.length} collections?`))) {
+    logger.warning('Nothing dropped (confirm with --yes when not running in a terminal)');
+    return plan;
+  }
+
+  let failed = 0;
+  for (const { collectionName, name } of indexesToDrop) {
+    if (await dropIndex(db, collectionName, name, report)) {
+      await getStagingLedger(db).deleteOne({ _id: `${collectionName}.${name}` });
+    } else {
+      failed++;
+    }
+  }
+  for (const { collectionName } of collectionsToDrop) {
+    try {
+      await withRetry(() => db.collection(collectionName).drop(), `Dropping collection ${collectionName}`);
+      logger.success(`Dropped collection ${collectionName}`);
+    } catch (error) {
+      logger.error(`Failed to drop collection ${collectionName}: ${error.message}`);
+      if (report) getCollectionReport(report, collectionName).error = error.message;
+      failed++;
+    }
+  }
+
+  if (failed === 0) {
+    await getRunJournal(db).updateOne({ _id: runId }, { $set: { undoneAt: new Date() } });
+    logger.success(`Run ${runId} undone`);
+  } else {
+    logger.warning(`${failed} operations failed - run "undo ${runId}" again to retry them`);
+  }
+  return plan;
+};
+
+// Load the representative queries for verify-queries from a JSON (Extended JSON) file
+// The file holds an array, or { "queries": [...] }, of entries:
+//   { "name", "collection", "filter", "sort", "projection", "limit" } for find queries, or
+//   { "name", "collection", "pipeline" } for aggregations; collection names are source names
+const loadQueryFile = (filePath) => {
+  if (!filePath) {
+    throw new Error('Query file is required (verify-queries <file>, or "queriesFile" in the configuration)');
+  }
+
+  const parsed = BSON.EJSON.parse(fs.readFileSync(filePath, 'utf8'), { relaxed: true });
+  const queries = Array.isArray(parsed) ? parsed : parsed.queries;
+  if (!Array.isArray(queries)) {
+    throw new Error(`Query file ${filePath} must hold an array of queries or { "queries": [...] }`);
+  }
+
+  const errors = [];
+  queries.forEach((query, i) => {
+    if (!isPlainObject(query) || typeof query.collection !== 'string') {
+      errors.push(`queries[${i}].collection must be a string`);
+    } else if (query.pipeline !== undefined && !Array.isArray(query.pipeline)) {
+      errors.push(`queries[${i}].pipeline must be an array of stages`);
+    } else if (query.pipeline === undefined) {
+      ['filter', 'sort', 'projection'].filter(field => query[field] !== undefined && !isPlainObject(query[field]))
+        .forEach(field => errors.push(`queries[${i}].${field} must be an object`));
+    }
+  });
+  if (errors.length > 0) {
+    throw new Error(`Invalid query file (${filePath}):\n  - ${errors.join('\n  - ')}`);
+  }
+
+  logger.info(`Loaded ${queries.length} queries from ${filePath}`);
+  return queries.map((query, i) => ({ ...query, name: query.name || `${query.collection} #${i + 1}` }));
+};
+
+// Query as it should run on the target: collection and field renames ("mapping") applied to the
+// filter, sort and projection, or to the $match and $sort stages of a pipeline
+const mapQuery = (query) => {
+  const fieldMapping = getFieldMapping(query.collection);
+  const mapped = { ...query, collection: mapCollectionName(query.collection) };
+  ['filter', 'sort', 'projection'].filter(field => query[field]).forEach(field => {
+    mapped[field] = mapFieldKeys(query[field], fieldMapping);
+  });
+  if (query.pipeline) {
+    mapped.pipeline = query.pipeline.map(stage => (stage.$match || stage.$sort
+      ? mapFieldKeys(stage, fieldMapping)
+      : stage));
+  }
+  return mapped;
+};
+
+// Run explain (executionStats) for a query; the query itself is executed, but nothing is returned
+const explainQuery = (db, query) => {
+  const collection = db.collection(query.collection);
+  const run = query.pipeline
+    ? () => collection.aggregate(query.pipeline).explain('executionStats')
+    : () => collection.find(query.filter || {}, {
+      sort: query.sort,
+      projection: query.projection,
+      limit: query.limit
+    }).explain('executionStats');
+  return withRetry(run, `Explaining query ${query.name} on ${query.collection}`);
+};
+
+// Summarize explain output: the stages of the winning plan, the indexes it uses, whether it scans
+// the collection or sorts in memory, and the execution counts (summed over shards and $cursor stages)
+const summarizeExplain = (explain) => {
+  const summary = {
+    plan: [],
+    indexes: [],
+    keyPatterns: [],
+    collscan: false,
+    blockingSort: false,
+    keysExamined: 0,
+    docsExamined: 0,
+    returned: 0,
+    timeMs: 0
+  };
+
+  // Rejected plans and the echoed command would report stages that don't run
+  const skipped = ['rejectedPlans', 'allPlansExecution', 'command', 'originalCommand', 'slotBasedPlan'];
+  const visit = (node, inWinningPlan) => {
+    if (Array.isArray(node)) {
+      node.forEach(item => visit(item, inWinningPlan));
+      return;
+    }
+    if (!isPlainObject(node)) return;
+
+    if (inWinningPlan && typeof node.stage === 'string') {
+      if (!summary.plan.includes(node.stage)) summary.plan.push(node.stage);
+      if (node.stage === 'COLLSCAN') summary.collscan = true;
+      if (node.stage === 'SORT') summary.blockingSort = true;
+      if (node.indexName && !summary.indexes.includes(node.indexName)) {
+        summary.indexes.push(node.indexName);
+        summary.keyPatterns.push(node.keyPattern);
+      }
+    }
+    for (const [key, value] of Object.entries(node)) {
+      if (skipped.includes(key)) continue;
+      if (key === 'executionStats') {
+        summary.keysExamined += Number(value.totalKeysExamined || 0);
+        summary.docsExamined += Number(value.totalDocsExamined || 0);
+        summary.returned += Number(value.nReturned || 0);
+        summary.timeMs += Number(value.executionTimeMillis || 0);
+        continue;
+      }
+      // A $sort stage left in the pipeline sorts in memory
+      if (key === '$sort') summary.blockingSort = true;
+      visit(value, inWinningPlan || key === 'winningPlan');
+    }
+  };
+  visit(explain, false);
+  return summary;
+};
+
+// Ways the target plan of a query is worse than the source plan
+const findPlanRegressions = (query, source, target) => {
+  const regressions = [];
+  if (target.collscan && !source.collscan) {
+    regressions.push(`collection scan on target (source uses ${source.indexes.join(', ') || 'no index'})`);
+  } else if (!target.collscan && source.indexes.length > 0) {
+    // Compare key patterns rather than names, so renamed indexes ("mapping") still match
+    const fieldMapping = getFieldMapping(query.collection);
+    const sourceKeys = source.keyPatterns.map(key => stableStringify(mapFieldKeys(key, fieldMapping))).sort();
+    const targetKeys = target.keyPatterns.map(key => stableStringify(key)).sort();
+    if (sourceKeys.join() !== targetKeys.join()) {
+      regressions.push(`uses ${target.indexes.join(', ') || 'no index'} on target instead of ${source.indexes.join(', ')}`);
+    }
+  }
+  if (target.blockingSort && !source.blockingSort) {
+    regressions.push('sorts in memory on target');
+  }
+  return regressions;
+};
+
+// Explain every query on source and target and flag plans that regressed on the target
+// Results are recorded in targetReport per target collection as "ok", "regressed" or "failed"
+const verifyQueries = async (sourceDb, targetDb, queries, targetReport = null) => {
+  const results = [];
+  for (const query of queries) {
+    const targetQuery = mapQuery(query);
+    const result = {
+      name: query.name,
+      collection: query.collection,
+      targetCollection: targetQuery.collection,
+      type: query.pipeline ? 'aggregate' : 'find',
+      source: null,
+      target: null,
+      regressions: [],
+      error: null
+    };
+
+    try {
+      result.source = summarizeExplain(await explainQuery(sourceDb, query));
+      result.target = summarizeExplain(await explainQuery(targetDb, targetQuery));
+      result.regressions = findPlanRegressions(query, result.source, result.target);
+    } catch (error) {
+      result.error = error.message;
+      logger.error(`Failed to explain query ${query.name} on ${result.source ? 'target' : 'source'}: ${error.message}`);
+    }
+
+    result.status = result.error ? 'failed' : result.regressions.length > 0 ? 'regressed' : 'ok';
+    recordIndexResult(targetReport, result.targetCollection, { name: query.name }, result.status, {
+      error: result.error ? { message: result.error } : result.regressions.length > 0 ? { message: result.regressions.join('; ') } : null
+    });
+    results.push(result);
+  }
+  return results;
+};
+
+// Format verify-queries results as text or json
+const formatQueryVerification = (results, format = 'text') => {
+  if (format === 'json') return JSON.stringify(results, null, 2);
+
+  const describePlan = (summary) =>
+    `${summary.plan.join(' > ')}${summary.indexes.length > 0 ? ` (${summary.indexes.join(', ')})` : ''} | ` +
+    `keys ${summary.keysExamined}, docs ${summary.docsExamined}, returned ${summary.returned}, ${summary.timeMs} ms`;
+
+  const lines = ['', '========== Query Plan Verification =========='];
+  for (const result of results) {
+    const collection = result.collection === result.targetCollection
+      ? result.collection
+      : `${result.collection} -> ${result.targetCollection}`;
+    lines.push('', `[${result.status.toUpperCase()}] ${result.name} (${result.type} on ${collection})`);
+    if (result.source) lines.push(`    source: ${describePlan(result.source)}`);
+    if (result.target) lines.push(`    target: ${describePlan(result.target)}`);
+    result.regressions.forEach(regression => lines.push(`    - ${regression}`));
+    if (result.error) lines.push(`    error: ${result.error}`);
+  }
+
+  const count = (status) => results.filter(result => result.status === status).length;
+  lines.push('', `Queries: ${results.length}, ok: ${count('ok')}, regressed: ${count('regressed')}, failed: ${count('failed')}`);
+  return lines.join('\n');
+};
+
+// Compare the indexes of each collection across the shards that hold it, using $indexStats through mongos
+// Returns [{ collectionName, shards, indexCount, missing: [{ name, missingOn, presentOn }],
+// inconsistent: [{ name, shards }] }]; inconsistent indexes have different definitions on some shards
+const checkShardIndexes = async (db, collectionNames) => {
+  if (!(await isShardedCluster(db))) {
+    throw new Error('check-shards needs a sharded cluster - connect the target through mongos');
+  }
+
+  const results = [];
+  for (const collectionName of await getCollections(db, collectionNames)) {
+    const stats = await withRetry(
+      () => db.collection(collectionName).aggregate([{ $indexStats: {} }]).toArray(),
+      `Reading index statistics of ${collectionName}`
+    );
+    const shards = [...new Set(stats.map(stat => stat.shard))].sort();
+    const byName = new Map();
+    stats.forEach(stat => {
+      if (!byName.has(stat.name)) byName.set(stat.name, []);
+      byName.get(stat.name).push(stat);
+    });
+
+    const result = { collectionName, shards, indexCount: byName.size, missing: [], inconsistent: [] };
+    for (const [name, entries] of byName) {
+      const presentOn = entries.map(entry => entry.shard).sort();
+      const missingOn = shards.filter(shard => !presentOn.includes(shard));
+      if (missingOn.length > 0) result.missing.push({ name, missingOn, presentOn });
+
+      // The index definition (spec) is reported from MongoDB 4.4 on
+      const [first, ...others] = entries.filter(entry => entry.spec);
+      if (first && others.some(entry => !areIndexesEquivalent(first.spec, entry.spec))) {
+        result.inconsistent.push({ name, shards: entries.map(({ shard, spec }) => ({ shard, spec })) });
+      }
+    }
+    results.push(result);
+  }
+  return results;
+};
+
+// Format check-shards results as text or json
+const formatShardCheck = (results, format = 'text') => {
+  if (format === 'json') return JSON.stringify(results, null, 2);
+
+  const lines = ['', '========== Index Consistency Across Shards =========='];
+  for (const result of results) {
+    lines.push('', `Collection: ${result.collectionName} (${result.shards.length} shards: ${result.shards.join(', ') || 'none'})`);
+    result.missing.forEach(({ name, missingOn, presentOn }) => {
+      lines.push(`  ! ${name} missing on ${missingOn.join(', ')} (present on ${presentOn.join(', ')})`);
+    });
+    result.inconsistent.forEach(({ name, shards }) => {
+      lines.push(`  ~ ${name} differs between shards:`);
+      shards.forEach(({ shard, spec }) => lines.push(`      ${shard}: ${formatIndexLine(spec)}`));
+    });
+    if (result.missing.length === 0 && result.inconsistent.length === 0) {
+      lines.push(`  all ${result.indexCount} indexes consistent`);
+    }
+  }
+
+  const count = (field) => results.reduce((sum, result) => sum + result[field].length, 0);
+  lines.push('', `Collections: ${results.length}, indexes missing on some shards: ${count('missing')}, inconsistent: ${count('inconsistent')}`);
+  return lines.join('\n');
+};
+
+// Current version of the index snapshot file format
+const SNAPSHOT_VERSION = 1;
+
+// Export the full index catalog and collection options of a database
+const exportSnapshot = async (db, dbName, filePath) => {
+  const collectionInfos = await getCollectionInfos(db, config.collections);
+
+  const snapshot = {
+    version: SNAPSHOT_VERSION,
+    exportedAt: new Date().toISOString(),
+    dbName,
+    collections: []
+  };
+
+  for (const info of collectionInfos) {
+    // Views have no indexes of their own
+    const indexes = info.type === 'view' ? [] : selectIndexes(info.name, await getIndexes(db, info.name));
+    snapshot.collections.push({
+      name: info.name,
+      type: info.type || 'collection',
+      options: info.options || {},
+      indexes: indexes.map(({ ns, ...index }) => index)
+    });
+  }
+
+  const outputPath = filePath || `index-snapshot-${dbName}-${snapshot.exportedAt.replace(/\D/g, '').slice(0, 14)}.json`;
+  // Extended JSON keeps dates and other BSON values in partial filters intact
+  fs.writeFileSync(outputPath, BSON.EJSON.stringify(snapshot, null, 2, { relaxed: true }), 'utf8');
+  logger.success(`Exported ${snapshot.collections.length} collections to ${outputPath}`);
+
+  return snapshot;
+};
+
+// Read and validate an index snapshot file
+const loadSnapshot = (filePath) => {
+  if (!filePath) {
+    throw new Error('Snapshot file path is required');
+  }
+
+  const snapshot = BSON.EJSON.parse(fs.readFileSync(filePath, 'utf8'), { relaxed: true });
+  if (!snapshot.version || snapshot.version > SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version ${snapshot.version} in ${filePath} (supported: ${SNAPSHOT_VERSION})`);
+  }
+  if (!Array.isArray(snapshot.collections)) {
+    throw new Error(`Snapshot ${filePath} has no collections list`);
+  }
+
+  logger.info(`Loaded snapshot of ${snapshot.dbName} (${snapshot.collections.length} collections) from ${filePath}`);
+  return snapshot;
+};
+
+// Wrap a snapshot in a client-like object so it can be used in place of the source connection
+const createSnapshotClient = (snapshot) => {
+  const byName = new Map(snapshot.collections.map(collection => [collection.name, collection]));
+
+  const db = {
+    databaseName: snapshot.dbName,
+    listCollections: (filter = {}) => {
+      const infos = snapshot.collections
+        .filter(collection => !filter.name || collection.name === filter.name)
+        .map(({ name, type, options }) => ({ name, type, options }));
+      return {
+        toArray: async () => infos,
+        hasNext: async () => infos.length > 0
+      };
+    },
+    collection: (collectionName) => ({
+      indexes: async () => {
+        if (!byName.has(collectionName)) {
+          throw new Error(`Collection ${collectionName} not found in snapshot`);
+        }
+        return byName.get(collectionName).indexes;
+      }
+    })
+  };
+
+  return {
+    db: () => db,
+    close: async () => {}
+  };
+};
+
+// Index options accepted in index schema files besides "key" and "name"
+const SCHEMA_INDEX_OPTIONS = [
+  'unique', 'sparse', 'partialFilterExpression', 'expireAfterSeconds', 'hidden', 'collation', 'weights',
+  'default_language', 'language_override', 'textIndexVersion', '2dsphereIndexVersion', 'bits', 'min', 'max',
+  'wildcardProjection', 'storageEngine', 'background'
+];
+
+// Index schema file path for messages (relative to the working directory)
+const describeSchemaFile = (filePath) => path.relative(process.cwd(), filePath) || filePath;
+
+// Read one index schema file (.yaml/.yml, .json, .json5 or .js/.cjs exporting the schema object)
+// YAML files keep their parsed document (with comments) for fmt. Extended JSON values ({ "$date": ... })
+// are turned into BSON values, as in snapshot files
+const readSchemaFile = (filePath) => {
+  const source = describeSchemaFile(filePath);
+  const extension = path.extname(filePath).toLowerCase();
+  if (!fs.existsSync(filePath)) throw new Error(`${source}: file not found`);
+
+  if (['.js', '.cjs'].includes(extension)) {
+    return { path: filePath, format: 'js', doc: require(filePath) };
+  }
+
+  const text = fs.readFileSync(filePath, 'utf8');
+  let parsed;
+  if (['.yaml', '.yml'].includes(extension)) {
+    const document = YAML.parseDocument(text);
+    if (document.errors.length > 0) {
+      const [error] = document.errors;
+      const line = error.linePos ? `:${error.linePos[0].line}` : '';
+      throw new Error(`${source}${line}: ${error.message.split('\n')[0].replace(/ at line \d+, column \d+:$/, '')}`);
+    }
+    parsed = { format: 'yaml', document, value: document.toJS() };
+  } else if (['.json5', '.json'].includes(extension)) {
+    try {
+      parsed = { format: extension.slice(1), value: extension === '.json' ? JSON.parse(text) : JSON5.parse(text) };
+    } catch (error) {
+      throw new Error(`${source}${error.lineNumber ? `:${error.lineNumber}` : ''}: ${error.message.replace(/^JSON5: /, '')}`);
+    }
+  } else {
+    throw new Error(`${source}: unknown schema file type (use .yaml, .yml, .json, .json5 or .js)`);
+  }
+
+  const { value, ...rest } = parsed;
+  const doc = value !== null && typeof value === 'object' ? BSON.EJSON.deserialize(value, { relaxed: true }) : value;
+  return { path: filePath, ...rest, raw: value, doc };
+};
+
+// Read index schema files and the files they "include" (paths relative to the including file),
+// each file once; problems are collected in errors so lint can report them all
+const readSchemaFiles = (filePaths) => {
+  const files = [];
+  const errors = [];
+
+  const visit = (filePath, stack) => {
+    const resolved = path.resolve(filePath);
+    if (stack.includes(resolved)) {
+      errors.push(`${describeSchemaFile(resolved)}: include cycle ${[...stack, resolved].map(describeSchemaFile).join(' -> ')}`);
+      return;
+    }
+    if (files.some(file => file.path === resolved)) return;
+
+    let file;
+    try {
+      file = readSchemaFile(resolved);
+    } catch (error) {
+      errors.push(error.message);
+      return;
+    }
+    files.push(file);
+
+    const include = isPlainObject(file.doc) ? file.doc.include : undefined;
+    if (include === undefined) return;
+    const includes = typeof include === 'string' ? [include] : include;
+    if (!Array.isArray(includes) || includes.some(entry => typeof entry !== 'string')) {
+      errors.push(`${describeSchemaFile(resolved)}: "include" must be a file path or a list of file paths`);
+      return;
+    }
+    includes.forEach(entry => visit(path.resolve(path.dirname(resolved), entry), [...stack, resolved]));
+  };
+
+  filePaths.forEach(filePath => visit(filePath, []));
+  return { files, errors };
+};
+
+// Turn schema files into custom index entries ({ collectionName, index }). A file has the sections
+//   include:     other schema files
+//   templates:   named partial index definitions, used by an index with "template: <name>"
+//   collections: per collection, { indexes: [index definitions] }
+// Indexes without a name get the default one (field_1_other_-1). Returns { entries, errors, warnings }
+const resolveSchema = (files) => {
+  const errors = [];
+  const warnings = [];
+  const templates = new Map();
+  const usedTemplates = new Set();
+  const entries = [];
+
+  for (const { path: filePath, doc } of files) {
+    const source = describeSchemaFile(filePath);
+    if (!isPlainObject(doc)) {
+      errors.push(`${source}: the schema must be an object with "include", "templates" and/or "collections"`);
+      continue;
+    }
+    Object.keys(doc).filter(key => !['include', 'templates', 'collections'].includes(key)).forEach(key => {
+      errors.push(`${source}: unknown section "${key}" (use include, templates or collections)`);
+    });
+    if (doc.templates !== undefined && !isPlainObject(doc.templates)) {
+      errors.push(`${source}: "templates" must map template names to index definitions`);
+      continue;
+    }
+    for (const [name, template] of Object.entries(doc.templates || {})) {
+      if (!isPlainObject(template)) {
+        errors.push(`${source}: templates.${name} must be an object`);
+      } else if (template.template !== undefined) {
+        errors.push(`${source}: templates.${name} can't use another template`);
+      } else if (templates.has(name)) {
+        errors.push(`${source}: template "${name}" is already defined in ${templates.get(name).source}`);
+      } else {
+        templates.set(name, { source, template });
+      }
+    }
+  }
+
+  for (const { path: filePath, doc } of files) {
+    const source = describeSchemaFile(filePath);
+    if (!isPlainObject(doc) || doc.collections === undefined) continue;
+    if (!isPlainObject(doc.collections)) {
+      errors.push(`${source}: "collections" must map collection names to { indexes: [...] }`);
+      continue;
+    }
+
+    for (const [collectionName, block] of Object.entries(doc.collections)) {
+      const where = `${source}: collections.${collectionName}`;
+      if (!isPlainObject(block) || !Array.isArray(block.indexes)) {
+        errors.push(`${where} must have an "indexes" list`);
+        continue;
+      }
+      Object.keys(block).filter(key => key !== 'indexes').forEach(key => errors.push(`${where}: unknown key "${key}"`));
+
+      block.indexes.forEach((definition, i) => {
+        const at = `${where}.indexes[${i}]`;
+        if (!isPlainObject(definition)) {
+          errors.push(`${at} must be an object`);
+          return;
+        }
+        const { template: templateName, ...own } = definition;
+        let index = own;
+        if (templateName !== undefined) {
+          if (!templates.has(templateName)) {
+            errors.push(`${at}: unknown template ${JSON.stringify(templateName)}`);
+            return;
+          }
+          usedTemplates.add(templateName);
+          index = { ...templates.get(templateName).template, ...own };
+        }
+
+        const { errors: specErrors } = checkIndexSpec(index);
+        specErrors.forEach(message => errors.push(`${at}: ${message}`));
+        if (specErrors.length > 0) return;
+        if (index.name !== undefined && (typeof index.name !== 'string' || index.name === '')) {
+          errors.push(`${at}: "name" must be a non-empty string`);
+          return;
+        }
+        const notBoolean = ['unique', 'sparse', 'hidden', 'background']
+          .filter(option => index[option] !== undefined && typeof index[option] !== 'boolean');
+        if (notBoolean.length > 0) {
+          errors.push(`${at}: ${notBoolean.map(option => `"${option}"`).join(', ')} must be true or false`);
+          return;
+        }
+        Object.keys(index).filter(key => !['key', 'name', ...SCHEMA_INDEX_OPTIONS].includes(key)).forEach(key => {
+          warnings.push(`${at}: unknown index option "${key}"`);
+        });
+
+        const spec = { ...index, name: index.name || getDefaultIndexName(index.key) };
+        for (const other of entries.filter(entry => entry.collectionName === collectionName)) {
+          if (other.index.name === spec.name) {
+            errors.push(`${at}: index name ${spec.name} is also used at ${other.at}`);
+            return;
+          }
+          if (areIndexesEquivalent(other.index, spec)) {
+            errors.push(`${at}: same index as ${other.index.name} at ${other.at}`);
+            return;
+          }
+        }
+        entries.push({ collectionName, index: spec, at });
+      });
+    }
+  }
+
+  [...templates.keys()].filter(name => !usedTemplates.has(name)).forEach(name => {
+    warnings.push(`${templates.get(name).source}: template "${name}" is not used`);
+  });
+
+  return { entries: entries.map(({ collectionName, index }) => ({ collectionName, index })), errors, warnings };
+};
+
+// compare and sync check the target against the index schema, when one is configured, instead of the source
+const usesSchemaSource = (command, options = {}) =>
+  ['compare', 'sync'].includes(command) && !options.snapshot && getSchemaFiles(options).length > 0;
+
+// Index schema files in use: --schema (comma-separated), else "schema" from the configuration,
+// whose paths are relative to the configuration file
+const getSchemaFiles = (options = {}) => {
+  if (options.schema !== undefined) {
+    return String(options.schema).split(',').map(file => file.trim()).filter(Boolean).map(file => path.resolve(file));
+  }
+  const files = typeof config.schema === 'string' ? [config.schema] : config.schema || [];
+  return files.map(file => path.resolve(path.dirname(configPath), file));
+};
+
+// Load the index schema as custom index entries; throws listing every problem found
+const loadSchema = (filePaths) => {
+  const { files, errors: readErrors } = readSchemaFiles(filePaths);
+  const { entries, errors, warnings } = resolveSchema(files);
+  const problems = [...readErrors, ...errors];
+  if (problems.length > 0) {
+    throw new Error(`Invalid index schema:\n  - ${problems.join('\n  - ')}`);
+  }
+  warnings.forEach(message => logger.warning(message));
+
+  const collectionCount = new Set(entries.map(entry => entry.collectionName)).size;
+  logger.info(`Index schema: ${entries.length} indexes on ${collectionCount} collections from ${files.length} files`);
+  return entries;
+};
+
+// Snapshot holding the schema's indexes, used in place of the source by compare and sync
+// Collection options are left out so they are not compared (see diffCollectionOptions)
+const createSchemaSnapshot = (entries, dbName) => {
+  const collections = new Map();
+  for (const { collectionName, index } of entries) {
+    if (!collections.has(collectionName)) {
+      collections.set(collectionName, {
+        name: collectionName,
+        type: 'collection',
+        indexes: [{ v: 2, key: { _id: 1 }, name: '_id_' }]
+      });
+    }
+    collections.get(collectionName).indexes.push({ v: 2, ...index });
+  }
+  return { version: SNAPSHOT_VERSION, dbName, collections: [...collections.values()] };
+};
+
+// Check index schema files and print every error and warning; errors are recorded in the report as
+// invalid indexes (exit code 3)
+const lintSchema = (filePaths, targetReport = null) => {
+  const { files, errors: readErrors } = readSchemaFiles(filePaths);
+  const { entries, errors, warnings } = resolveSchema(files);
+  const problems = [...readErrors, ...errors];
+
+  problems.forEach(message => logger.error(message));
+  warnings.forEach(message => logger.warning(message));
+  problems.forEach(message => {
+    const [file, ...rest] = message.split(': ');
+    recordIndexResult(targetReport, file, { name: rest.join(': ') || file }, 'invalid', { error: { message } });
+  });
+
+  const summary = `${files.length} files, ${entries.length} indexes, ${problems.length} errors, ${warnings.length} warnings`;
+  if (problems.length > 0) logger.error(`Index schema check failed: ${summary}`);
+  else logger.success(`Index schema is valid: ${summary}`);
+  return { files, entries, errors: problems, warnings };
+};
+
+// Canonical key order of an index definition: template, key, name, then the options by name
+const compareDefinitionKeys = (a, b) => {
+  const rank = (key) => {
+    const i = ['template', 'key', 'name'].indexOf(key);
+    return i === -1 ? 3 : i;
+  };
+  return rank(a) - rank(b) || (rank(a) === 3 ? a.localeCompare(b) : 0);
+};
+
+// Order of the sections of a schema file (unknown ones last)
+const compareSchemaSections = (a, b) => {
+  const rank = (key) => {
+    const i = ['include', 'templates', 'collections'].indexOf(key);
+    return i === -1 ? 3 : i;
+  };
+  return rank(a) - rank(b);
+};
+
+const orderIndexDefinition = (definition) =>
+  Object.fromEntries(Object.keys(definition).sort(compareDefinitionKeys).map(key => [key, definition[key]]));
+
+// Normalized schema document: sections in the order include, templates, collections (unknown ones
+// last), templates and collections sorted by name and index definitions in canonical key order
+const normalizeSchema = (doc) => {
+  if (!isPlainObject(doc)) return doc;
+  const byName = (object) => Object.keys(object).sort((a, b) => a.localeCompare(b));
+  const normalized = {};
+  if (doc.include !== undefined) normalized.include = doc.include;
+  if (isPlainObject(doc.templates)) {
+    normalized.templates = Object.fromEntries(byName(doc.templates).map(name => [
+      name, isPlainObject(doc.templates[name]) ? orderIndexDefinition(doc.templates[name]) : doc.templates[name]
+    ]));
+  }
+  if (isPlainObject(doc.collections)) {
+    normalized.collections = Object.fromEntries(byName(doc.collections).map(name => {
+      const block = doc.collections[name];
+      if (!isPlainObject(block) || !Array.isArray(block.indexes)) return [name, block];
+      const indexes = block.indexes.map(definition => (isPlainObject(definition) ? orderIndexDefinition(definition) : definition));
+      return [name, { ...block, indexes }];
+    }));
+  }
+  Object.keys(doc).filter(key => normalized[key] === undefined).forEach(key => { normalized[key] = doc[key]; });
+  return normalized;
+};
+
+// Normalize a parsed YAML schema document in place, the same way as normalizeSchema. Nodes are moved
+// with their comments; sections, templates, collections and index definitions are written as blocks,
+// the values inside index definitions (keys, filters, collations) in flow style
+const normalizeSchemaDocument = (document) => {
+  const keyOf = (pair) => String(YAML.isScalar(pair.key) ? pair.key.value : pair.key);
+  const sortPairs = (map, compare) => map.items.sort((a, b) => compare(keyOf(a), keyOf(b)));
+  const separate = (map) => map.items.forEach((pair, i) => {
+    if (i > 0 && YAML.isNode(pair.key)) pair.key.spaceBefore = true;
+  });
+  const normalizeDefinition = (node) => {
+    if (!YAML.isMap(node)) return;
+    node.flow = false;
+    sortPairs(node, compareDefinitionKeys);
+    node.items.forEach(pair => {
+      if (YAML.isCollection(pair.value)) pair.value.flow = true;
+    });
+  };
+
+  const root = document.contents;
+  if (!YAML.isMap(root)) return document;
+  root.flow = false;
+  sortPairs(root, compareSchemaSections);
+  separate(root);
+
+  const templates = root.get('templates');
+  if (YAML.isMap(templates)) {
+    templates.flow = false;
+    sortPairs(templates, (a, b) => a.localeCompare(b));
+    separate(templates);
+    templates.items.forEach(pair => normalizeDefinition(pair.value));
+  }
+  const collections = root.get('collections');
+  if (YAML.isMap(collections)) {
+    collections.flow = false;
+    sortPairs(collections, (a, b) => a.localeCompare(b));
+    separate(collections);
+    collections.items.forEach(({ value: block }) => {
+      if (!YAML.isMap(block)) return;
+      block.flow = false;
+      const indexes = block.get('indexes');
+      if (!YAML.isSeq(indexes)) return;
+      indexes.flow = false;
+      indexes.items.forEach(normalizeDefinition);
+    });
+  }
+  return document;
+};
+
+// Rewrite index schema files in normalized form (YAML keeps its comments; JSON5 and JS files, whose
+// comments can't be kept, are only checked). With check, files are left as they are and the ones that
+// would change are recorded as drift (exit code 2). Returns the files that are (or were) not formatted
+const formatSchemaFiles = (filePaths, { check = false, targetReport = null } = {}) => {
+  const { files, errors } = readSchemaFiles(filePaths);
+  if (errors.length > 0) throw new Error(`Can't read the index schema:\n  - ${errors.join('\n  - ')}`);
+
+  const unformatted = [];
+  const scripts = files.filter(file => file.format === 'js');
+  for (const file of files) {
+    const source = describeSchemaFile(file.path);
+    if (file.format === 'js') {
+      logger.warning(`${source}: JavaScript schema files can't be rewritten - only schema:lint checks them`);
+      continue;
+    }
+    let formatted;
+    if (file.format === 'yaml') formatted = normalizeSchemaDocument(file.document).toString({ lineWidth: 0 });
+    else if (file.format === 'json5') formatted = `${JSON5.stringify(normalizeSchema(file.raw), null, 2)}\n`;
+    else formatted = `${JSON.stringify(normalizeSchema(file.raw), null, 2)}\n`;
+    if (formatted === fs.readFileSync(file.path, 'utf8')) continue;
+
+    unformatted.push(file.path);
+    if (check) {
+      logger.warning(`${source} is not formatted`);
+      recordDrift(targetReport, source, 'conflicting', [{ name: 'format' }]);
+    } else {
+      fs.writeFileSync(file.path, formatted, 'utf8');
+      logger.success(`Formatted ${source}`);
+    }
+  }
+  if (unformatted.length === 0 && files.length > scripts.length) {
+    logger.success(`${files.length - scripts.length} schema files already formatted`);
+  }
+  return unformatted;
+};
+
+// Insert a suffix before a file's extension (report.json -> report.store-01.json)
+const addFileSuffix = (filePath, suffix) => {
+  const extension = path.extname(filePath);
+  return `${filePath.slice(0, filePath.length - extension.length)}.${suffix.replace(/[^\w.-]/g, '_')}${extension}`;
+};
+
+// Run an async worker over items with at most `limit` running at the same time
+const runWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await worker(items[i], i);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+};
+
+// Run migrate, create or compare against a single target, returning its counts
+// The returned counts are the target's section of the run report; dry-run plans are added to `plans`
+// (by target name) when given, and printed right away otherwise
+const runOnTarget = async (command, target, sourceClient, options, report, checkpoint = null, plans = null) => {
+  const result = addTargetReport(report, target);
+  let targetClient = null;
+
+  try {
+    logger.info(`Running ${command} on target ${target.name}...`);
+    targetClient = await connectToMongo(target.uri);
+    const targetDb = targetClient.db(target.dbName);
+    const sourceDb = sourceClient ? sourceClient.db(config.source.dbName) : null;
+    const shardCollections = Boolean(options['shard-collections'] || (config.sharding && config.sharding.shardCollections));
+    if (command !== 'compare' && await isShardedCluster(targetDb)) {
+      logger.info(`Target ${target.name} is a sharded cluster - unique indexes are checked against shard keys`);
+    }
+
+    if (options['dry-run'] && command !== 'compare') {
+      const plan = await buildExecutionPlan(command, sourceDb, targetDb, target, { shardCollections });
+      if (plans) plans[target.name] = plan;
+      else reportExecutionPlan(plan, options);
+      result.created = plan.summary.indexesToCreate;
+      result.skipped = plan.summary.indexesToSkip;
+      result.conflicts = plan.summary.conflicts;
+      return result;
+    }
+
+    const createOptions = {
+      validate: Boolean(options.validate),
+      hidden: Boolean(options.hidden),
+      shardCollections,
+      throttle: options.throttle ? getThrottleSettings(options) : null,
+      report: result,
+      checkpoint: checkpoint ? checkpoint.forTarget(target.name) : null
+    };
+    if (command === 'migrate') {
+      const collections = await getCollections(sourceDb, getTargetCollections(target), { includeViews: true });
+      logger.info(`Found ${collections.length} collections to process`);
+
+      // Build progress: live bars on a terminal when there is a single target, log lines otherwise
+      const multipleTargets = getTargets().length > 1;
+      if (!options['no-progress']) {
+        createOptions.progress = await createBuildProgress(targetDb, collections.map(mapCollectionName), {
+          interactive: !multipleTargets,
+          label: multipleTargets ? target.name : ''
+        });
+      }
+
+      // Counts are collected in the report as each index is processed
+      const concurrency = getCollectionConcurrency(options);
+      let counts;
+      try {
+        counts = await runWithConcurrency(collections, concurrency, (collectionName) => {
+          if (createOptions.checkpoint && createOptions.checkpoint.isCollectionDone(collectionName)) {
+            logger.info(`Skipping collection ${collectionName} (completed in a previous run)`);
+            if (createOptions.progress) createOptions.progress.finish(mapCollectionName(collectionName));
+            return null;
+          }
+          if (concurrency === 1) {
+            return migrateCollectionIndexes(sourceDb, targetDb, collectionName, createOptions);
+          }
+          const prefix = multipleTargets ? `${target.name}/${collectionName}` : collectionName;
+          return logContext.run(prefix, () => migrateCollectionIndexes(sourceDb, targetDb, collectionName, createOptions));
+        });
+      } finally {
+        if (createOptions.progress) createOptions.progress.stop();
+      }
+
+      if (concurrency > 1) {
+        // Collections finish in any order; keep the report and summary in collection order
+        result.collections.sort((a, b) => collections.indexOf(a.collectionName) - collections.indexOf(b.collectionName));
+        printCollectionSummary(target.name, collections, counts);
+      }
+      logger.success(`Index migration completed for target ${target.name}`);
+    } else if (command === 'create') {
+      await createCustomIndexes(targetDb, getTargetCustomIndexes(target), createOptions);
+    }
+    if (['migrate', 'create'].includes(command) && report) {
+      await journalRun(targetDb, report, result);
+    }
+
+    if (command === 'compare') {
+      // Saving missing indexes to the configuration only makes sense for a single target, and not
+      // when they come from the index schema
+      const singleTarget = getTargets().length === 1;
+      const canSave = singleTarget && !usesSchemaSource(command, options);
+      let save = false;
+      if (canSave && options.yes) save = true;
+      else if (canSave && !options['no-prompt'] && process.stdin.isTTY) save = 'prompt';
+
+      await compareIndexes(sourceClient, targetClient, {
+        target,
+        format: options.format,
+        output: options.output && !singleTarget ? addFileSuffix(options.output, target.name) : options.output,
+        save,
+        report: result
+      });
+    }
+  } catch (error) {
+    result.error = error.message;
+    result.connectionFailed = Boolean(error.connectionFailed);
+    logger.error(`Target ${target.name} failed: ${error.message}`);
+  } finally {
+    if (targetClient) {
+      await targetClient.close();
+      logger.info(`Target MongoDB connection closed (${target.name})`);
+    }
+  }
+
+  return result;
+};
+
+// Print created / skipped / failed counts for each target
+const printTargetSummary = (command, results) => {
+  const countColumns = command === 'compare' ? ['missing'] : ['created', 'skipped', 'failed'];
+  if (results.some(result => result.conflicts > 0)) countColumns.push('conflicts');
+  const headers = ['Target', ...countColumns.map(column => column[0].toUpperCase() + column.slice(1)), 'Status'];
+  const rows = results.map(result => [
+    result.target,
+    ...countColumns.map(column => String(result[column])),
+    result.error ? `error: ${result.error}` : 'ok'
+  ]);
+
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => row[i].length)));
+  const formatRow = (row) => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+  console.log(`\n========== ${command} summary per target ==========`);
+  console.log(formatRow(headers));
+  console.log(widths.map(width => '-'.repeat(width)).join('  '));
+  rows.forEach(row => console.log(formatRow(row)));
+};
+
+// Number of collections migrate processes in parallel on each target
+const getCollectionConcurrency = (options) => {
+  const concurrency = parseInt(options.concurrency || config.concurrency || 1);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid concurrency "${options.concurrency || config.concurrency}" (expected a positive number)`);
+  }
+  return concurrency;
+};
+
+// Number of targets migrate, create and compare process in parallel
+const getTargetConcurrency = (options) => {
+  const concurrency = parseInt(options['target-concurrency'] || config.targetConcurrency || 4);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid target concurrency "${options['target-concurrency'] || config.targetConcurrency}" (expected a positive number)`);
+  }
+  return concurrency;
+};
+
+// Print created / skipped / failed counts per collection, in collection order
+const printCollectionSummary = (targetName, collections, counts) => {
+  const headers = ['Collection', 'Created', 'Skipped', 'Failed'];
+  const rows = collections.map((collectionName, i) => (counts[i]
+    ? [collectionName, String(counts[i].created), String(counts[i].skipped), String(counts[i].failed)]
+    : [collectionName, '-', '-', '-']));
+
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => row[i].length)));
+  const formatRow = (row) => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+  console.log(`\n========== migrate summary per collection (${targetName}) ==========`);
+  console.log(formatRow(headers));
+  console.log(widths.map(width => '-'.repeat(width)).join('  '));
+  rows.forEach(row => console.log(formatRow(row)));
+};
+
+// Run migrate, create or compare on every configured target with bounded parallelism
+const runOnAllTargets = async (command, sourceClient, options, report = null) => {
+  const targets = getTargets();
+  const concurrency = getTargetConcurrency(options);
+  // Checked before any target connects; each target reads the settings again
+  if (options.throttle) getThrottleSettings(options);
+
+  if (targets.length > 1) {
+    logger.info(`Running ${command} on ${targets.length} targets (${concurrency} at a time)`);
+  }
+
+  // migrate and create keep a checkpoint so an interrupted run can continue with --resume
+  const checkpoint = ['migrate', 'create'].includes(command) && !options['dry-run']
+    ? openCheckpoint(getCheckpointPath(options), command, Boolean(options.resume))
+    : null;
+
+  // Dry-run plans of several targets are reported together once every target is planned
+  const plans = targets.length > 1 && options['dry-run'] && command !== 'compare' ? {} : null;
+
+  const results = await runWithConcurrency(targets, concurrency, target =>
+    runOnTarget(command, target, sourceClient, options, report, checkpoint, plans)
+  );
+
+  if (plans) {
+    reportExecutionPlans(targets.filter(target => plans[target.name]).map(target => plans[target.name]), options);
+  }
+  // The JSON plans already carry the counts and must stay the only thing on stdout
+  if (targets.length > 1 && !(plans && options.format === 'json')) {
+    printTargetSummary(command, results);
+  }
+
+  if (checkpoint) {
+    if (results.every(result => !result.error && result.failed === 0)) {
+      checkpoint.clear();
+    } else {
+      checkpoint.save();
+      logger.warning(`Run incomplete - progress saved to ${checkpoint.filePath}; run again with --resume to continue`);
+    }
+  }
+  return results;
+};
+
+// Exit codes for scripted and CI use
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  DRIFT_DETECTED: 2,
+  INDEX_FAILED: 3,
+  CONNECTION_FAILED: 4
+};
+
+// Create the structured result of a run
+const createRunReport = (command) => ({
+  command,
+  runId: createRunId(),
+  startedAt: new Date().toISOString(),
+  finishedAt: null,
+  durationMs: null,
+  status: 'running',
+  exitCode: null,
+  error: null,
+  connectionFailed: false,
+  targets: []
+});
+
+// Add a target section to a run report; it also carries the counts shown in the per-target summary
+const addTargetReport = (report, target) => {
+  const targetReport = {
+    target: target.name,
+    dbName: target.dbName,
+    created: 0,
+    skipped: 0,
+    failed: 0,
+    missing: 0,
+    conflicts: 0,
+    error: null,
+    connectionFailed: false,
+    collectionsCreated: [],
+    collections: []
+  };
+  if (report) report.targets.push(targetReport);
+  return targetReport;
+};
+
+// Get (or add) the section for a collection in a target report
+const getCollectionReport = (targetReport, collectionName) => {
+  let collectionReport = targetReport.collections.find(entry => entry.collectionName === collectionName);
+  if (!collectionReport) {
+    collectionReport = {
+      collectionName,
+      error: null,
+      drift: { missing: [], extra: [], conflicting: [], options: [] },
+      indexes: []
+    };
+    targetReport.collections.push(collectionReport);
+  }
+  return collectionReport;
+};
+
+// Record the outcome of an index operation in a target report and update its counts
+const recordIndexResult = (targetReport, collectionName, indexSpec, status, { durationMs = 0, error = null, details = null } = {}) => {
+  if (!targetReport) return;
+  if (status === 'created') targetReport.created++;
+  else if (status === 'exists' || status === 'excluded') targetReport.skipped++;
+  else if (status === 'failed' || status === 'invalid') targetReport.failed++;
+  getCollectionReport(targetReport, collectionName).indexes.push({
+    name: indexSpec.name || JSON.stringify(indexSpec.key),
+    key: indexSpec.key,
+    status,
+    durationMs,
+    error: error ? { code: error.code, codeName: error.codeName, message: error.message, class: error.errorClass } : null,
+    ...(details ? { details } : {})
+  });
+};
+
+// Record a collection (or view) created on the target
+const recordCollectionCreated = (targetReport, collectionName) => {
+  if (targetReport) targetReport.collectionsCreated.push(collectionName);
+};
+
+// Record drift (missing / extra / conflicting index names, or differing collection options) for a collection
+const recordDrift = (targetReport, collectionName, kind, indexSpecs) => {
+  if (!targetReport || indexSpecs.length === 0) return;
+  if (kind === 'missing') targetReport.missing += indexSpecs.length;
+  getCollectionReport(targetReport, collectionName).drift[kind].push(
+    ...indexSpecs.map(index => index.name || JSON.stringify(index.key))
+  );
+};
+
+// Work out the exit code of a finished run
+const getExitCode = (report) => {
+  if (report.targets.some(target => target.connectionFailed) || report.connectionFailed) {
+    return EXIT_CODES.CONNECTION_FAILED;
+  }
+  if (report.error) return EXIT_CODES.ERROR;
+  // compare builds no indexes, so a target that could not be compared is an error rather than a failed index
+  if (report.command === 'compare' && report.targets.some(target => target.error)) return EXIT_CODES.ERROR;
+
+  const collections = report.targets.flatMap(target => target.collections);
+  if (report.targets.some(target => target.error || target.failed > 0) ||
+      collections.some(collection => collection.error ||
+        collection.indexes.some(index => index.status === 'failed' || index.status === 'invalid'))) {
+    return EXIT_CODES.INDEX_FAILED;
+  }
+
+  // Conflicts found by a dry run are drift: nothing was built, so nothing failed
+  const hasDrift = report.targets.some(target => target.conflicts > 0) || collections.some(({ drift, indexes }) =>
+    drift.missing.length > 0 || drift.extra.length > 0 || drift.conflicting.length > 0 || drift.options.length > 0 ||
+    indexes.some(index => index.status === 'regressed')
+  );
+  return hasDrift ? EXIT_CODES.DRIFT_DETECTED : EXIT_CODES.SUCCESS;
+};
+
+// Mark a run report as finished and set its status and exit code
+const finishRunReport = (report) => {
+  report.finishedAt = new Date().toISOString();
+  report.durationMs = Date.parse(report.finishedAt) - Date.parse(report.startedAt);
+  report.exitCode = getExitCode(report);
+  report.status = Object.keys(EXIT_CODES)
+    .find(name => EXIT_CODES[name] === report.exitCode)
+    .toLowerCase();
+  return report;
+};
+
+// Escape text for use in XML attributes and content
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Render a run report as JUnit XML (one test suite per target, one test case per index)
+const formatReportJunit = (report) => {
+  const suites = report.targets.map(target => {
+    const cases = [];
+
+    if (target.error) {
+      cases.push(`    <testcase classname="${escapeXml(target.target)}" name="connect"><error message="${escapeXml(target.error)}"/></testcase>`);
+    }
+
+    for (const collection of target.collections) {
+      const classname = escapeXml(`${target.target}.${collection.collectionName}`);
+
+      if (collection.error) {
+        cases.push(`    <testcase classname="${classname}" name="collection"><error message="${escapeXml(collection.error)}"/></testcase>`);
+      }
+      for (const index of collection.indexes) {
+        const time = (index.durationMs / 1000).toFixed(3);
+        let body = '';
+        if (index.status === 'failed' || index.status === 'invalid') {
+          body = `<failure message="${escapeXml(index.error ? index.error.message : index.status)}"/>`;
+        } else if (index.status === 'exists' || index.status === 'skipped') {
+          body = '<skipped/>';
+        }
+        // Drops get their own test case name so a rebuild shows up as two cases
+        const name = index.status === 'dropped' || index.status === 'protected' ? `${index.name} (${index.status})` : index.name;
+        cases.push(`    <testcase classname="${classname}" name="${escapeXml(name)}" time="${time}">${body}</testcase>`);
+      }
+      for (const [kind, names] of Object.entries(collection.drift)) {
+        for (const name of names) {
+          cases.push(`    <testcase classname="${classname}" name="${escapeXml(name)}"><failure message="${kind} index"/></testcase>`);
         }
       }
-      
-      const addAnother = await promptQuestion('Add another index? (y/n): ');
-      if (addAnother.toLowerCase() !== 'y') break;
     }
-    
-    logger.success('Interactive index creation completed');
-  } catch (error) {
-    logger.error(`Error in interactive mode: ${error.message}`);
-  } finally {
-    rl.close();
-  }
+
+    const failures = cases.filter(testCase => testCase.includes('<failure')).length;
+    const errors = cases.filter(testCase => testCase.includes('<error')).length;
+    const skipped = cases.filter(testCase => testCase.includes('<skipped')).length;
+    return `  <testsuite name="${escapeXml(`${report.command} ${target.target}`)}" tests="${cases.length}" failures="${failures}" errors="${errors}" skipped="${skipped}">\n` +
+      `${cases.join('\n')}${cases.length > 0 ? '\n' : ''}  </testsuite>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="mongodb-index-migration ${escapeXml(report.command)}">\n` +
+    `${suites.join('\n')}${suites.length > 0 ? '\n' : ''}</testsuites>\n`;
 };
 
-// List all indexes in a database
-const listAllIndexes = async (client, dbName) => {
-  try {
-    const db = client.db(dbName);
-    const collections = await getCollections(db, []);
-    
-    console.log('\n========== Current Indexes ==========');
-    console.log(`Database: ${dbName}`);
-    
-    for (const collectionName of collections) {
-      const indexes = await getIndexes(db, collectionName);
-      
-      console.log(`\nCollection: ${collectionName}`);
-      console.log('Indexes:');
-      
-      if (indexes.length === 0) {
-        console.log('  No indexes found');
-        continue;
+// Render a run report as a Markdown document
+const formatReportMarkdown = (report) => {
+  const cell = (text) => String(text === null || text === undefined ? '' : text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const lines = [
+    `# Index ${report.command} report`,
+    '',
+    `- Status: **${report.status}** (exit code ${report.exitCode})`,
+    `- Run ID: ${report.runId}`,
+    `- Started: ${report.startedAt}`,
+    `- Duration: ${report.durationMs} ms`
+  ];
+  if (report.error) lines.push(`- Error: ${report.error}`);
+
+  for (const target of report.targets) {
+    lines.push('', `## ${target.target} (${target.dbName})`, '');
+    lines.push(`Created: ${target.created} · Skipped: ${target.skipped} · Failed: ${target.failed} · Missing: ${target.missing}` +
+      (target.conflicts > 0 ? ` · Conflicts: ${target.conflicts}` : ''));
+    if (target.error) lines.push('', `**Error:** ${target.error}`);
+
+    const rows = [];
+    for (const collection of target.collections) {
+      const collectionName = cell(collection.collectionName);
+      if (collection.error) rows.push(`| ${collectionName} | | error | | ${cell(collection.error)} |`);
+      for (const index of collection.indexes) {
+        rows.push(`| ${collectionName} | ${cell(index.name)} | ${index.status} | ${index.durationMs} | ${cell(index.error && index.error.message)} |`);
+      }
+      for (const [kind, names] of Object.entries(collection.drift)) {
+        names.forEach(name => rows.push(`| ${collectionName} | ${cell(name)} | ${kind} | | |`));
       }
-      
-      indexes.forEach((index, i) => {
-        console.log(`  ${i + 1}. Name: ${index.name}`);
-        console.log(`     Key: ${JSON.stringify(index.key)}`);
-        
-        // Display important options
-        const options = [];
-        if (index.unique) options.push('unique');
-        if (index.sparse) options.push('sparse');
-        if (index.expireAfterSeconds !== undefined) options.push(`TTL: ${index.expireAfterSeconds}s`);
-        
-        if (options.length > 0) {
-          console.log(`     Options: ${options.join(', ')}`);
-        }
-      });
     }
-  } catch (error) {
-    logger.error(`Error listing indexes: ${error.message}`);
+    if (rows.length > 0) {
+      lines.push('', '| Collection | Index | Status | Duration (ms) | Error |', '| --- | --- | --- | --- | --- |', ...rows);
+    }
   }
+
+  return `${lines.join('\n')}\n`;
 };
 
-// Helper function to check if two indexes are equivalent 
-const areIndexesEquivalent = (indexA, indexB) => {
-  // Compare keys (most important part)
-  const keysA = JSON.stringify(indexA.key);
-  const keysB = JSON.stringify(indexB.key);
-  
-  if (keysA !== keysB) return false;
-  
-  // Compare critical options
-  if (indexA.unique !== indexB.unique) return false;
-  if (indexA.sparse !== indexB.sparse) return false;
-  if (indexA.expireAfterSeconds !== indexB.expireAfterSeconds) return false;
-  
-  // For text indexes, compare weights if provided
-  if (indexA.key && Object.values(indexA.key).includes('text')) {
-    if (JSON.stringify(indexA.weights || {}) !== JSON.stringify(indexB.weights || {})) {
-      return false;
-    }
+// Write a run report to a file in json, junit or markdown format
+const writeRunReport = (report, format, filePath) => {
+  const formatters = {
+    json: () => `${JSON.stringify(report, null, 2)}\n`,
+    junit: formatReportJunit,
+    markdown: formatReportMarkdown
+  };
+  if (!formatters[format]) {
+    throw new Error(`Unknown report format "${format}" (use json, junit or markdown)`);
   }
-  
-  // For partial indexes, compare filter if provided
-  if (JSON.stringify(indexA.partialFilterExpression || {}) !== 
-      JSON.stringify(indexB.partialFilterExpression || {})) {
-    return false;
+  if (!filePath) {
+    throw new Error(`Missing file path for --report ${format}`);
   }
-  
-  return true;
+
+  fs.writeFileSync(filePath, formatters[format](report), 'utf8');
+  logger.info(`Run report (${format}) written to ${filePath}`);
 };
 
-// Compare indexes between source and target databases
-const compareIndexes = async (sourceClient, targetClient) => {
-  try {
-    const sourceDb = sourceClient.db(config.source.dbName);
-    const targetDb = targetClient.db(config.target.dbName);
-    
-    // Get collections from source
-    const sourceCollections = await getCollections(sourceDb, config.collections);
-    logger.info(`Found ${sourceCollections.length} collections in source database`);
-    
-    // Get target collections
-    const targetCollections = await getCollections(targetDb, []);
-    
-    // Results object to store missing indexes
-    const missingIndexes = {};
-    let totalMissingIndexes = 0;
-    
-    // Process each collection
-    for (const collectionName of sourceCollections) {
-      logger.info(`Comparing indexes for collection ${collectionName}...`);
-      
-      // Get source indexes
-      const sourceIndexes = await getIndexes(sourceDb, collectionName);
-      
-      // Skip if collection doesn't exist in target
-      if (!targetCollections.includes(collectionName)) {
-        logger.warning(`Collection ${collectionName} doesn't exist in target database`);
-        missingIndexes[collectionName] = {
-          collectionMissing: true,
-          indexes: sourceIndexes.filter(index => index.name !== '_id_')
-        };
-        totalMissingIndexes += sourceIndexes.filter(index => index.name !== '_id_').length;
-        continue;
-      }
-      
-      // Get target indexes
-      const targetIndexes = await getIndexes(targetDb, collectionName);
-      
-      // Find missing indexes
-      const missing = [];
-      
-      for (const sourceIndex of sourceIndexes) {
-        // Skip _id_ index as it's automatically created
-        if (sourceIndex.name === '_id_') continue;
-        
-        // Check if equivalent index exists in target
-        const hasEquivalent = targetIndexes.some(targetIndex => 
-          areIndexesEquivalent(sourceIndex, targetIndex)
-        );
-        
-        if (!hasEquivalent) {
-          missing.push(sourceIndex);
-          totalMissingIndexes++;
-        }
-      }
-      
-      if (missing.length > 0) {
-        missingIndexes[collectionName] = {
-          collectionMissing: false,
-          indexes: missing
-        };
-      }
-    }
-    
-    // Display and return results
-    console.log('\n========== Missing Indexes Report ==========');
-    console.log(`Found ${totalMissingIndexes} indexes missing in target database`);
-    
-    if (totalMissingIndexes === 0) {
-      console.log('All source indexes exist in target database!');
-      return { missingIndexes, count: 0 };
+// Print the execution plans of several targets and optionally save them as one JSON document keyed by target
+const reportExecutionPlans = (plans, options) => {
+  const byTarget = Object.fromEntries(plans.map(plan => [plan.target.name, plan]));
+  if (options.format === 'json') {
+    console.log(JSON.stringify(byTarget, null, 2));
+  } else {
+    plans.forEach(printExecutionPlan);
+  }
+
+  if (options.output) {
+    fs.writeFileSync(options.output, JSON.stringify(byTarget, null, 2), 'utf8');
+    logger.info(`Execution plans of ${plans.length} targets written to ${options.output}`);
+  }
+};
+
+// Print an execution plan in the requested format and optionally save it as JSON
+const reportExecutionPlan = (plan, options) => {
+  if (options.format === 'json') {
+    console.log(JSON.stringify(plan, null, 2));
+  } else {
+    printExecutionPlan(plan);
+  }
+
+  if (options.output) {
+    fs.writeFileSync(options.output, JSON.stringify(plan, null, 2), 'utf8');
+    logger.info(`Execution plan written to ${options.output}`);
+  }
+};
+
+// Commands that read from the source and write to or read from the target database
+const SOURCE_COMMANDS = ['migrate', 'list-source', 'compare', 'sync', 'export', 'validate', 'analyze', 'verify-queries',
+  'suggest'];
+const TARGET_COMMANDS = ['migrate', 'create', 'interactive', 'list-target', 'compare', 'sync', 'validate',
+  'migration:up', 'migration:down', 'migration:status', 'hide', 'unhide', 'drop', 'staging', 'undo',
+  'verify-queries', 'check-shards'];
+
+// Commands that run against every entry of "targets"
+const FAN_OUT_COMMANDS = ['migrate', 'create', 'compare'];
+
+// Options that take a value (all other --options are boolean flags)
+const VALUE_OPTIONS = new Set([
+  'checkpoint', 'collections', 'commit-quorum', 'concurrency', 'config', 'exclude-collections', 'exclude-indexes',
+  'format', 'include-collections', 'include-indexes', 'log', 'max-attempts', 'max-lag', 'min-millis', 'output',
+  'profile', 'schema', 'snapshot', 'source-db', 'source-uri', 'steps', 'target', 'target-concurrency', 'target-db',
+  'target-uri'
+]);
+
+// Parse command line arguments into a command, positional arguments and options
+const parseArgs = (argv) => {
+  const positional = [];
+  const options = {};
+
+  // Value following argv[i], rejecting a missing one instead of storing undefined
+  const takeValue = (i, description) => {
+    const value = argv[i];
+    if (value === undefined || value.startsWith('--')) {
+      throw new Error(`Missing ${description}`);
     }
-    
-    for (const [collectionName, data] of Object.entries(missingIndexes)) {
-      if (data.indexes.length === 0) continue;
-      
-      console.log(`\nCollection: ${collectionName}`);
-      if (data.collectionMissing) {
-        console.log('  [Collection does not exist in target database]');
-      }
-      
-      console.log('  Missing indexes:');
-      data.indexes.forEach((index, i) => {
-        console.log(`  ${i + 1}. Name: ${index.name}`);
-        console.log(`     Key: ${JSON.stringify(index.key)}`);
-        
-        // Display important options
-        const options = [];
-        if (index.unique) options.push('unique');
-        if (index.sparse) options.push('sparse');
-        if (index.expireAfterSeconds !== undefined) options.push(`TTL: ${index.expireAfterSeconds}s`);
-        if (index.weights) options.push(`weights: ${JSON.stringify(index.weights)}`);
-        if (index.partialFilterExpression) options.push(`filter: ${JSON.stringify(index.partialFilterExpression)}`);
-        
-        if (options.length > 0) {
-          console.log(`     Options: ${options.join(', ')}`);
-        }
-      });
+    return value;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
     }
-    
-    // Ask if user wants to save missing indexes to config
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
-    });
-    
-    const saveToConfig = await new Promise(resolve => {
-      rl.question('\nDo you want to save these missing indexes to config.json for future creation? (y/n): ', answer => {
-        resolve(answer.toLowerCase() === 'y');
-        rl.close();
-      });
-    });
-    
-    if (saveToConfig) {
-      if (!config.customIndexes) config.customIndexes = [];
-      
-      // Add missing indexes to config
-      for (const [collectionName, data] of Object.entries(missingIndexes)) {
-        for (const index of data.indexes) {
-          config.customIndexes.push({
-            collectionName,
-            index
-          });
-        }
-      }
-      
-      // Save updated config
-      fs.writeFileSync(
-        path.join(__dirname, 'config.json'),
-        JSON.stringify(config, null, 2),
-        'utf8'
-      );
-      
-      logger.success('Missing indexes added to configuration file');
+
+    const equalsAt = arg.indexOf('=');
+    const name = arg.slice(2, equalsAt === -1 ? undefined : equalsAt);
+    if (name === 'report') {
+      // --report <format> <path> (or --report=<format> <path>) can be given more than once
+      const usage = '(--report <format> <path>)';
+      const format = equalsAt !== -1 ? arg.slice(equalsAt + 1) : takeValue(++i, `report format ${usage}`);
+      if (format === '') throw new Error(`Missing report format ${usage}`);
+      const reportPath = takeValue(++i, `report path ${usage}`);
+      options.report = [...(options.report || []), { format, path: reportPath }];
+    } else if (equalsAt !== -1) {
+      options[name] = arg.slice(equalsAt + 1);
+    } else if (VALUE_OPTIONS.has(name)) {
+      options[name] = takeValue(++i, `value for --${name}`);
+    } else {
+      options[name] = true;
     }
-    
-    return { missingIndexes, count: totalMissingIndexes };
-  } catch (error) {
-    logger.error(`Error comparing indexes: ${error.message}`);
-    return { missingIndexes: {}, count: 0 };
   }
+
+  return { command: positional.shift(), positional, options };
 };
 
 // Main function
 const main = async () => {
   let sourceClient = null;
   let targetClient = null;
+  let report = null;
+  let reportOutputs = [];
   
   try {
-    // Load configuration
-    loadConfig();
-
     // Parse command line arguments
-    const args = process.argv.slice(2);
-    const command = args[0] || 'help';
+    const args = parseArgs(process.argv.slice(2));
+    let command = args.command || 'help';
+    const { options } = args;
+
+    // "plan" is shorthand for "migrate --dry-run"
+    if (command === 'plan') {
+      command = 'migrate';
+      options['dry-run'] = true;
+    }
+
+    // "import <file>" is a migration that reads the source from a snapshot
+    if (command === 'import') {
+      command = 'migrate';
+      options.snapshot = args.positional[0];
+      if (!options.snapshot) throw new Error('Usage: import <snapshot-file>');
+    }
     
     if (command === 'help') {
       console.log(`
 MongoDB Index Migration Tool
 
 Usage:
-  node mongodb-index-migration-enhanced.js [command]
+  node mongodb-index-migration-enhanced.js [command] [options]
 
 Commands:
-  migrate     Migrate indexes from source to target database
-  create      Create custom indexes defined in config.json
-  interactive Start interactive index creation mode
+  migrate     Migrate indexes (and collection options, views) from source to target database
+  create      Create custom indexes defined in config.json and the index schema files ("schema")
+  plan        Show what migrate would do without changing the target
+  interactive Browse, create, modify, hide and drop target indexes (Tab completes collection,
+              field and index names)
   list-source List all indexes in source database
   list-target List all indexes in target database
-  compare     Compare indexes between source and target databases
+  compare     Compare indexes and collection options between source and target databases
+  sync        Make target indexes match the source (missing, extra, conflicting)
+  validate [create]     Check target data for duplicates (unique), non-date values (TTL)
+                        and coverage (sparse/partial) before building migrate's indexes,
+                        or the custom indexes with "validate create"
+  analyze               Show index usage ($indexStats) and sizes in the source database and flag
+                        unused, redundant (prefix of another index) and duplicate indexes
+  suggest               Propose compound indexes (equality, sort, range order) for the slow queries in the
+                        source's system.profile (or a mongod JSON log with --log) and add the accepted
+                        ones to "customIndexes"
+  verify-queries [file] Explain the queries of a file (find or aggregate) on source and target and flag
+                        plans that regressed on the target (collection scan, other index, in-memory sort)
+  check-shards          Report target indexes that are missing on some shards or defined differently
+                        across shards (sharded clusters, through mongos)
+  export [file]         Export source indexes and collection options to a snapshot file
+  import <file>         Apply a snapshot file to the target database (like migrate)
+  migration:new <name>  Create a new timestamped file in migrations/
+  migration:up          Apply all pending migrations to the target database
+  migration:down        Revert the last applied migration (see --steps)
+  migration:status      Show applied and pending migrations
+  hide <coll> <index>   Hide a target index as the first step of dropping it (MongoDB 4.4+)
+  drop <coll> <index>   Drop a target index hidden with "hide" for at least dropAfterHiddenHours
+  unhide <coll> <index> Make a hidden target index visible again (--all: every index created with --hidden)
+  staging               Show target indexes waiting to be unhidden or dropped
+  undo [runId]          Drop the indexes created by a migrate/create run (its ID is logged and in
+                        the report); without an ID, list the recorded runs of the target
+  schema:lint [files]   Check index schema files (default: "schema" from the configuration)
+  schema:fmt [files]    Rewrite index schema files in normalized form (YAML keeps its comments, JSON5
+                        loses them; .js files are only linted)
   help        Show this help message
+
+Exit codes:
+  0 success, 1 error, 2 drift detected (compare, sync --dry-run, check-shards, conflicts in a
+  migrate/create --dry-run plan), query plan
+  regressed (verify-queries) or files not formatted (schema:fmt --check), 3 some indexes (or
+  verify-queries explains) failed or schema:lint found errors, 4 connection failed
+
+Options:
+  --dry-run         (migrate, create, sync) Print the execution plan instead of applying it;
+                    (undo) only show what would be dropped
+  --drop-collections
+                    (undo) Also drop the collections the run created, if they are still empty
+  --drop-extra      (sync) Drop target indexes that do not exist in the source
+  --rebuild-conflicting
+                    (sync) Drop and recreate target indexes whose definition differs
+  --config <file>   Configuration file to use (default: config.json next to this script)
+  --profile <name>  Apply the named entry of "profiles" from the configuration file
+                    (or set MONGO_INDEX_PROFILE)
+  --source-uri <uri>, --source-db <name>, --target-uri <uri>, --target-db <name>
+                    Override the source/target connection from the configuration file
+                    (an explicit target replaces the "targets" list)
+  --collections a,b Only process these collections (overrides "collections")
+  --include-collections <patterns>, --exclude-collections <patterns>
+                    Comma-separated names, globs (tm_*) or /regexes/ selecting collections
+  --include-indexes <patterns>, --exclude-indexes <patterns>
+                    Same for indexes; a pattern with a dot also matches collection.index (tt_*.tmp_*)
+                    (all four override the configuration file and apply to migrate, compare, sync,
+                    list-source, list-target, export and import)
+  --target <name>   Use only the entry of "targets" with this name
+  --target-concurrency <n>
+                    (migrate, create, compare) Targets processed in parallel (default 4)
+  --concurrency <n> (migrate) Collections processed in parallel on each target (default 1);
+                    the missing indexes of a collection are built with one createIndexes command
+  --validate        (migrate, create) Run the pre-flight checks first and skip indexes that would fail
+  --hidden          (migrate, create, sync) Build new indexes hidden; they become visible with "unhide"
+  --all             (unhide) Unhide every index created with --hidden
+  --shard-collections
+                    (migrate) Shard new target collections on the source's shard key (sharded clusters)
+  --throttle        (migrate, create) On replica sets, build with a commit quorum, wait while
+                    replication lag is high and print build progress per index
+  --no-progress     (migrate) Don't show index build progress (live bars on a terminal, otherwise
+                    a progress line per collection being built every progress.intervalSeconds)
+  --max-lag <s>     (--throttle) Replication lag in seconds to wait for (default 10)
+  --commit-quorum <v>
+                    (--throttle) Commit quorum: votingMembers (default), majority or a number
+  --resume          (migrate, create) Continue an interrupted run from its checkpoint file
+  --checkpoint <file>
+                    (migrate, create) Checkpoint file (default .index-migration-checkpoint.json)
+  --max-attempts <n>
+                    Attempts for operations failing with transient errors (default 5)
+  --steps <n>       (migration:down) Number of migrations to revert (default 1)
+  --snapshot <file> (migrate, compare, sync, list-source) Read source indexes from a snapshot file
+  --schema <files>  Index schema files (comma-separated; overrides "schema"): create also builds
+                    their indexes, compare and sync check the target against them instead of the source
+  --check           (schema:fmt) Only list the files that are not formatted
+  --report <format> <file>
+                    Write a structured run report as json, junit or markdown (repeatable)
+  --format <fmt>    Plan output format: text (default) or json (one document keyed by target name when
+                    there are several targets)
+                    (compare) table (default), json, yaml or diff (unified diff of index definitions)
+                    (analyze, verify-queries, check-shards, suggest) text (default) or json
+  --output <file>   Also write the plan (or plans, keyed by target) as JSON to <file>; (compare) write the comparison to
+                    <file> instead of stdout; (export) snapshot file to write; (analyze) write the analysis;
+                    (verify-queries, check-shards, suggest) write the results
+  --save-exclusions (analyze) Add flagged indexes that are not unique or TTL to "excludeIndexes",
+                    which migrate then skips
+  --log <file>      (suggest) Read slow queries from a mongod log file (JSON, MongoDB 4.4+) instead of
+                    system.profile; with --snapshot, existing indexes come from the snapshot
+  --min-millis <n>  (suggest) Only use queries that took at least this many milliseconds
+  --yes             (compare) Save missing indexes to the configuration file without asking;
+                    (suggest) save every suggestion to "customIndexes";
+                    (unhide --all, undo) go on without asking
+  --no-prompt       (compare, suggest) Never ask to save missing indexes or suggestions (also the default
+                    without a terminal)
       `);
       return;
     }
     
+    // Keep stdout clean when it carries machine-readable output
+    if (['json', 'yaml', 'diff'].includes(options.format) && !options.output) {
+      logToStderr = true;
+    }
+    
+    report = createRunReport(command);
+    (options.report || []).forEach(({ format }) => {
+      if (!['json', 'junit', 'markdown'].includes(format)) {
+        throw new Error(`Unknown report format "${format}" (use json, junit or markdown)`);
+      }
+    });
+    reportOutputs = options.report || [];
+    
+    // "validate create" checks custom indexes and needs no source
+    const validateMode = command === 'validate' && args.positional[0] === 'create' ? 'create' : 'migrate';
+    
+    // Load configuration and check it has what this command needs
+    loadConfig(options);
+    const schemaSource = usesSchemaSource(command, options);
+    const usesSource = SOURCE_COMMANDS.includes(command) && !(command === 'validate' && validateMode === 'create');
+    // Snapshots hold no usage statistics or data, so export, analyze, verify-queries and suggest (unless it
+    // reads a log file) always read the live source
+    const needsSource = usesSource && !schemaSource &&
+      (!options.snapshot || ['export', 'analyze', 'verify-queries'].includes(command) || (command === 'suggest' && !options.log));
+    const needsTarget = TARGET_COMMANDS.includes(command);
+    const fanOut = FAN_OUT_COMMANDS.includes(command);
+    validateConfig(config, { needsSource, needsTarget, fanOut });
+    
+    if (command === 'migration:new') {
+      createMigrationFile(args.positional[0]);
+      return;
+    }
+
+    if (command === 'schema:fmt' || command === 'schema:lint') {
+      const schemaFiles = args.positional.length > 0 ? args.positional.map(file => path.resolve(file)) : getSchemaFiles(options);
+      if (schemaFiles.length === 0) {
+        throw new Error(`Usage: ${command} [schema files] (or set "schema" in the configuration)`);
+      }
+      const schemaReport = addTargetReport(report, { name: 'schema' });
+      if (command === 'schema:lint') lintSchema(schemaFiles, schemaReport);
+      else formatSchemaFiles(schemaFiles, { check: Boolean(options.check), targetReport: schemaReport });
+      return;
+    }
+
+    // The index schema adds to the custom indexes of create
+    if (command === 'create' || (command === 'validate' && validateMode === 'create')) {
+      const schemaEntries = getSchemaFiles(options).length > 0 ? loadSchema(getSchemaFiles(options)) : [];
+      schemaEntries.forEach(entry => schemaIndexEntries.add(entry));
+      config.customIndexes = [...(config.customIndexes || []), ...schemaEntries];
+    }
+    
     // Connect to databases based on the command
-    if (['migrate', 'list-source', 'compare'].includes(command)) {
-      sourceClient = await connectToMongo(config.source.uri);
+    if (usesSource) {
+      if (needsSource) {
+        sourceClient = await connectToMongo(config.source.uri);
+      } else if (schemaSource) {
+        const snapshot = createSchemaSnapshot(loadSchema(getSchemaFiles(options)), 'schema');
+        sourceClient = createSnapshotClient(snapshot);
+        config.source = { ...config.source, dbName: snapshot.dbName };
+        // Schema files name collections and fields as on the target
+        delete config.mapping;
+      } else {
+        const snapshot = loadSnapshot(options.snapshot);
+        sourceClient = createSnapshotClient(snapshot);
+        config.source = { ...config.source, dbName: snapshot.dbName };
+      }
     }
     
-    if (['migrate', 'create', 'interactive', 'list-target', 'compare'].includes(command)) {
+    // Fan-out commands open their own connection to each target
+    if (needsTarget && !fanOut) {
       targetClient = await connectToMongo(config.target.uri);
     }
     
     // Execute the requested command
     switch (command) {
-      case 'migrate': {
-        const sourceDb = sourceClient.db(config.source.dbName);
-        const targetDb = targetClient.db(config.target.dbName);
-        
-        // Get collections to process
-        const collections = await getCollections(sourceDb, config.collections);
-        logger.info(`Found ${collections.length} collections to process`);
-        
-        // Process each collection
-        for (const collectionName of collections) {
-          await migrateCollectionIndexes(sourceDb, targetDb, collectionName);
-        }
-        
-        logger.success('Index migration completed successfully');
-        break;
-      }
-      
-      case 'create': {
-        const targetDb = targetClient.db(config.target.dbName);
-        await createCustomIndexes(targetDb);
+      case 'migrate':
+      case 'create':
+      case 'compare': {
+        await runOnAllTargets(command, sourceClient, options, report);
         break;
       }
       
@@ -595,17 +5229,192 @@ Commands:
         break;
       }
       
-      case 'compare': {
-        await compareIndexes(sourceClient, targetClient);
+      case 'sync': {
+        const sourceDb = sourceClient.db(config.source.dbName);
+        const targetDb = targetClient.db(config.target.dbName);
+        await syncIndexes(sourceDb, targetDb, {
+          dryRun: Boolean(options['dry-run']),
+          dropExtra: Boolean(options['drop-extra']),
+          rebuildConflicting: Boolean(options['rebuild-conflicting']),
+          hidden: Boolean(options.hidden),
+          report: addTargetReport(report, config.target)
+        });
+        break;
+      }
+      
+      case 'validate': {
+        const sourceDb = sourceClient ? sourceClient.db(config.source.dbName) : null;
+        const targetDb = targetClient.db(config.target.dbName);
+        const entries = await getValidationEntries(validateMode, sourceDb, targetDb);
+        const targetReport = addTargetReport(report, config.target);
+        for (const result of await validateIndexes(targetDb, entries)) {
+          const messages = result.error ? [result.error] : result.checks.map(check => check.message);
+          recordIndexResult(targetReport, result.collectionName, { name: result.indexName }, result.ok ? 'valid' : 'invalid', {
+            error: messages.length > 0 ? { message: messages.join('; ') } : null
+          });
+        }
+        break;
+      }
+      
+      case 'analyze': {
+        const sourceDb = sourceClient.db(config.source.dbName);
+        const analysis = await analyzeIndexes(sourceDb, config.collections);
+        const formatted = formatAnalysis(analysis, options.format);
+        if (options.output) {
+          fs.writeFileSync(options.output, `${formatted}\n`, 'utf8');
+          logger.info(`Analysis written to ${options.output}`);
+        } else {
+          console.log(formatted);
+        }
+        if (options['save-exclusions']) saveExclusions(analysis);
+        break;
+      }
+      
+      case 'suggest': {
+        const sourceDb = sourceClient.db(config.source.dbName);
+        const minMillis = options['min-millis'] !== undefined ? Number(options['min-millis']) : 0;
+        const entries = options.log
+          ? await readLogEntries(options.log, config.source.dbName, minMillis)
+          : await readProfilerEntries(sourceDb, minMillis);
+        const suggestions = await buildIndexSuggestions(sourceDb, entries);
+        const formatted = formatSuggestions(suggestions, options.format);
+        if (options.output) {
+          fs.writeFileSync(options.output, `${formatted}\n`, 'utf8');
+          logger.info(`Suggestions written to ${options.output}`);
+        } else {
+          console.log(formatted);
+        }
+
+        // Like compare: --yes saves every suggestion, a terminal asks for each one
+        let accepted = [];
+        if (options.yes) accepted = suggestions;
+        else if (suggestions.length > 0 && !options['no-prompt'] && process.stdin.isTTY) accepted = await chooseSuggestions(suggestions);
+        if (accepted.length > 0) saveSuggestions(accepted);
+        break;
+      }
+      
+      case 'verify-queries': {
+        const queryFile = args.positional[0] ||
+          (config.queriesFile ? path.resolve(path.dirname(configPath), config.queriesFile) : null);
+        const queries = loadQueryFile(queryFile);
+        const results = await verifyQueries(
+          sourceClient.db(config.source.dbName),
+          targetClient.db(config.target.dbName),
+          queries,
+          addTargetReport(report, config.target)
+        );
+        const formatted = formatQueryVerification(results, options.format);
+        if (options.output) {
+          fs.writeFileSync(options.output, `${formatted}\n`, 'utf8');
+          logger.info(`Query verification written to ${options.output}`);
+        } else {
+          console.log(formatted);
+        }
+        break;
+      }
+      
+      case 'check-shards': {
+        const results = await checkShardIndexes(targetClient.db(config.target.dbName), config.collections);
+        const targetReport = addTargetReport(report, config.target);
+        results.forEach(({ collectionName, missing, inconsistent }) => {
+          recordDrift(targetReport, collectionName, 'missing',
+            missing.flatMap(({ name, missingOn }) => missingOn.map(shard => ({ name: `${name} on ${shard}` }))));
+          recordDrift(targetReport, collectionName, 'conflicting', inconsistent);
+        });
+        const formatted = formatShardCheck(results, options.format);
+        if (options.output) {
+          fs.writeFileSync(options.output, `${formatted}\n`, 'utf8');
+          logger.info(`Shard check written to ${options.output}`);
+        } else {
+          console.log(formatted);
+        }
+        break;
+      }
+      
+      case 'export': {
+        const sourceDb = sourceClient.db(config.source.dbName);
+        await exportSnapshot(sourceDb, config.source.dbName, args.positional[0] || options.output);
+        break;
+      }
+      
+      case 'migration:up': {
+        await migrateUp(targetClient.db(config.target.dbName));
+        break;
+      }
+      
+      case 'migration:down': {
+        const steps = options.steps !== undefined ? Number(options.steps) : 1;
+        if (!Number.isInteger(steps) || steps < 1) {
+          throw new Error(`Invalid --steps "${options.steps}" (expected a positive number)`);
+        }
+        await migrateDown(targetClient.db(config.target.dbName), steps);
+        break;
+      }
+      
+      case 'migration:status': {
+        await showMigrationStatus(targetClient.db(config.target.dbName));
+        break;
+      }
+      
+      case 'hide':
+      case 'drop': {
+        const [collectionName, indexName] = args.positional;
+        if (!collectionName || !indexName) throw new Error(`Usage: ${command} <collection> <index>`);
+        const targetDb = targetClient.db(config.target.dbName);
+        if (command === 'hide') {
+          await hideIndex(targetDb, collectionName, indexName);
+        } else {
+          await dropStagedIndex(targetDb, collectionName, indexName, addTargetReport(report, config.target));
+        }
+        break;
+      }
+      
+      case 'unhide': {
+        const [collectionName, indexName] = args.positional;
+        const targetDb = targetClient.db(config.target.dbName);
+        if (options.all) {
+          await unhideStagedIndexes(targetDb, { confirmed: Boolean(options.yes) });
+        } else if (collectionName && indexName) {
+          await unhideIndex(targetDb, collectionName, indexName);
+        } else {
+          throw new Error('Usage: unhide <collection> <index> | unhide --all');
+        }
+        break;
+      }
+      
+      case 'staging': {
+        await showStagingStatus(targetClient.db(config.target.dbName));
+        break;
+      }
+      
+      case 'undo': {
+        const targetDb = targetClient.db(config.target.dbName);
+        if (!args.positional[0]) {
+          await listRuns(targetDb);
+          break;
+        }
+        await undoRun(targetDb, args.positional[0], {
+          dryRun: Boolean(options['dry-run']),
+          confirmed: Boolean(options.yes),
+          dropCollections: Boolean(options['drop-collections']),
+          report: addTargetReport(report, config.target)
+        });
         break;
       }
       
       default:
         logger.error(`Unknown command: ${command}`);
         logger.info('Use "help" command to see available options');
+        report.error = `Unknown command: ${command}`;
     }
   } catch (error) {
     logger.error(`Operation failed: ${error.message}`);
+    if (report) {
+      report.error = error.message;
+      report.connectionFailed = Boolean(error.connectionFailed);
+    } else {
+      process.exitCode = EXIT_CODES.ERROR;
+    }
   } finally {
     // Close MongoDB connections
     if (sourceClient) {
@@ -616,15 +5425,63 @@ Commands:
       await targetClient.close();
       logger.info('Target MongoDB connection closed');
     }
+    
+    // Write the run reports and exit with a code that reflects the outcome
+    if (report) {
+      finishRunReport(report);
+      for (const { format, path: filePath } of reportOutputs) {
+        try {
+          writeRunReport(report, format, filePath);
+        } catch (error) {
+          logger.error(`Failed to write ${format} report: ${error.message}`);
+        }
+      }
+      if (report.exitCode !== EXIT_CODES.SUCCESS) {
+        logger.warning(`Finished with status ${report.status} (exit code ${report.exitCode})`);
+      }
+      process.exitCode = report.exitCode;
+    }
   }
 };
 
 // Export functions for potential use as a module
 module.exports = {
+  EXIT_CODES,
+  buildComparison,
+  buildExecutionPlan,
+  buildIndexSuggestions,
+  checkShardIndexes,
+  classifyIndexes,
   compareIndexes,
   createCustomIndexes,
+  createSnapshotClient,
+  dropStagedIndex,
+  exportSnapshot,
+  formatComparison,
+  formatSchemaFiles,
   getIndexes,
-  listAllIndexes
+  getShardKey,
+  hideIndex,
+  lintSchema,
+  listAllIndexes,
+  listRuns,
+  loadConfig,
+  loadQueryFile,
+  loadSchema,
+  loadSnapshot,
+  migrateDown,
+  migrateUp,
+  runOnAllTargets,
+  showMigrationStatus,
+  showStagingStatus,
+  syncIndexes,
+  undoRun,
+  unhideIndex,
+  unhideStagedIndexes,
+  validateConfig,
+  validateIndexData,
+  validateIndexes,
+  verifyQueries
 };
 
 // Run the application if called directly